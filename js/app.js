@@ -12,11 +12,17 @@ import { PreferenceManager } from './modules/PreferenceManager.js';
 import { NavigationManager } from './modules/NavigationManager.js';
 import { GitHubAPI } from './modules/GitHubAPI.js';
 import { GitHubRenderer } from './modules/GitHubRenderer.js';
+import { ReadmePreview } from './modules/ReadmePreview.js';
+import { RepoComparison } from './modules/RepoComparison.js';
+import { ActivityFeed } from './modules/ActivityFeed.js';
+import { LanguageStats } from './modules/LanguageStats.js';
+import { RelativeTime } from './modules/RelativeTime.js';
 import { MobileNavigation } from './modules/MobileNavigation.js';
 import { KeyboardShortcuts } from './modules/KeyboardShortcuts.js';
 import { ErrorHandler } from './modules/ErrorHandler.js';
 import { CacheManager } from './modules/CacheManager.js';
 import { MicroInteractions } from './modules/MicroInteractions.js';
+import { GITHUB_CONFIG } from './config.js';
 
 // Mock classes for missing modules to prevent crashes
 class AnimationController {
@@ -147,6 +153,7 @@ class PortfolioApp {
         this.initialized = false;
         this.errorHandler = new ErrorHandler();
         this.cacheManager = new CacheManager();
+        this.dataRefreshTimer = null;
     }
 
     /**
@@ -179,8 +186,13 @@ class PortfolioApp {
             { name: 'preferenceManager', Module: PreferenceManager, deps: [], critical: false },
             { name: 'cacheManager', Module: CacheManager, deps: [], critical: false },
             { name: 'themeManager', Module: ThemeManager, deps: ['preferenceManager'], critical: false },
-            { name: 'gitHubAPI', Module: GitHubAPI, deps: ['cacheManager'], critical: true },
-            { name: 'gitHubRenderer', Module: GitHubRenderer, deps: [], critical: true },
+            { name: 'relativeTime', Module: RelativeTime, deps: ['preferenceManager'], critical: false },
+            { name: 'gitHubAPI', Module: GitHubAPI, deps: ['cacheManager'], options: GITHUB_CONFIG, critical: true },
+            { name: 'readmePreview', Module: ReadmePreview, deps: ['gitHubAPI'], critical: false },
+            { name: 'repoComparison', Module: RepoComparison, deps: ['gitHubAPI'], critical: false },
+            { name: 'activityFeed', Module: ActivityFeed, deps: ['gitHubAPI'], options: (modules) => ({ lazyLoader: modules.lazyLoader, relativeTime: modules.relativeTime }), critical: false },
+            { name: 'languageStats', Module: LanguageStats, deps: ['gitHubAPI'], options: (modules) => ({ lazyLoader: modules.lazyLoader, themeManager: modules.themeManager, ...GITHUB_CONFIG.languageStats }), critical: false },
+            { name: 'gitHubRenderer', Module: GitHubRenderer, deps: [], options: (modules) => ({ gitHubAPI: modules.gitHubAPI, lazyLoader: modules.lazyLoader, readmePreview: modules.readmePreview, repoComparison: modules.repoComparison, mobileNavigation: modules.mobileNavigation, preferenceManager: modules.preferenceManager, relativeTime: modules.relativeTime, maxFeaturedRepos: modules.gitHubAPI.getMaxFeatured(), featuredAutoplay: Boolean(GITHUB_CONFIG.featured?.autoplay), featuredInterval: GITHUB_CONFIG.featured?.autoplayInterval || 6000 }), critical: true },
             { name: 'loadingStates', Module: LoadingStates, deps: [], critical: false },
             { name: 'mobileNavigation', Module: MobileNavigation, deps: [], critical: false },
             { name: 'microInteractions', Module: MicroInteractions, deps: ['preferenceManager'], critical: false },
@@ -190,8 +202,12 @@ class PortfolioApp {
             { name: 'keyboardShortcuts', Module: KeyboardShortcuts, deps: ['navigationManager', 'preferenceManager'], critical: false }
         ];
 
+        // Optional modules built on a critical one (e.g. readmePreview on gitHubAPI) have to wait for it
+        const criticalNames = moduleConfigs.filter(m => m.critical).map(m => m.name);
+        const needsCritical = (config) => !config.critical && config.deps.some(dep => criticalNames.includes(dep));
+
         // Initialize non-critical modules first
-        for (const config of moduleConfigs.filter(m => !m.critical)) {
+        for (const config of moduleConfigs.filter(m => !m.critical && !needsCritical(m))) {
             try {
                 await this.initializeModule(config);
             } catch (error) {
@@ -200,11 +216,17 @@ class PortfolioApp {
             }
         }
 
-        // Initialize critical modules
-        for (const config of moduleConfigs.filter(m => m.critical)) {
+        // Initialize critical modules, and the optional ones built on them, in the order listed
+        for (const config of moduleConfigs.filter(m => m.critical || needsCritical(m))) {
             try {
                 await this.initializeModule(config);
             } catch (error) {
+                if (!config.critical) {
+                    this.errorHandler.handleError(error, `Failed to initialize ${config.name} module`);
+                    console.warn(`⚠️ Continuing without ${config.name} module`);
+                    continue;
+                }
+
                 this.errorHandler.handleError(error, `Critical: Failed to initialize ${config.name} module`);
                 throw error; // Re-throw critical errors
             }
@@ -222,7 +244,10 @@ class PortfolioApp {
         }
 
         const deps = config.deps.map(dep => this.modules[dep]);
-        this.modules[config.name] = new config.Module(...deps);
+        // Options may be static or built from already-initialized (optional) modules
+        const options = typeof config.options === 'function' ? config.options(this.modules) : config.options;
+        const args = options ? [...deps, options] : deps;
+        this.modules[config.name] = new config.Module(...args);
         
         if (typeof this.modules[config.name].initialize === 'function') {
             await this.modules[config.name].initialize();
@@ -253,6 +278,9 @@ class PortfolioApp {
         try {
             // Register service worker
             this.registerServiceWorker();
+
+            // Say when calls resume if the quota runs out, during or after the first load
+            this.setupRateLimitNotice();
             
             // Load initial data
             await this.loadInitialData();
@@ -356,17 +384,73 @@ class PortfolioApp {
      * Load initial data
      */
     async loadInitialData() {
-        try {
-            // Load GitHub repositories using modern API
-            const allRepos = await this.modules.gitHubAPI.fetchRepos();
+        const renderer = this.modules.gitHubRenderer;
+        const gitHubAPI = this.modules.gitHubAPI;
+
+        let showingSnapshot = false;
+
+        // A reload (e.g. after a rate limit reset) supersedes any load still running
+        this.dataController?.abort();
+        this.dataController = new AbortController();
+        const { signal } = this.dataController;
+
+        // Render the grid as each page arrives instead of waiting for every page
+        // (unless the complete snapshot is already on screen)
+        const handleReposProgress = ({ repos, done }) => {
+            if (renderer && !done && !showingSnapshot) {
+                renderer.renderReposFromData(repos);
+            }
+        };
+
+        // Rate limited: cached data is shown, so say when it will refresh
+        const handleStaleData = ({ resetAt }) => {
+            if (renderer) {
+                renderer.showStatusNotice(`Showing cached data, refreshes at ${this.formatTime(resetAt)}.`);
+            }
+            this.scheduleDataRefresh(resetAt);
+        };
+
+        // Live calls failed: the snapshot is shown instead
+        const handleSnapshotData = ({ generatedAt, error }) => {
+            if (renderer) {
+                renderer.showStatusNotice(`GitHub is unavailable right now. Showing project data as of ${this.formatDate(generatedAt)}.`);
+            }
+            if (error.rateLimited) {
+                this.scheduleDataRefresh(error.resetAt);
+            }
+        };
 
+        try {
             // Initialize GitHub renderer
-            if (this.modules.gitHubRenderer) {
-                await this.modules.gitHubRenderer.initialize();
-                this.modules.gitHubRenderer.renderFeaturedReposFromData(allRepos);
-                this.modules.gitHubRenderer.renderReposFromData(allRepos);
+            if (renderer) {
+                await renderer.initialize();
+                renderer.hideStatusNotice();
+            }
+
+            // First visit: show the snapshot while live data loads
+            if (renderer && !gitHubAPI.hasCachedRepos()) {
+                showingSnapshot = await this.renderSnapshot();
+            }
+
+            // Load GitHub repositories using modern API
+            gitHubAPI.on('reposProgress', handleReposProgress);
+            gitHubAPI.on('staleData', handleStaleData);
+            gitHubAPI.on('snapshotData', handleSnapshotData);
+            const allRepos = await gitHubAPI.fetchRepos({ signal });
+            const featuredRepos = await gitHubAPI.fetchFeaturedRepos({ signal });
+
+            if (renderer) {
+                renderer.renderFeaturedReposFromData(featuredRepos);
+                renderer.renderReposFromData(allRepos);
+
+                if (showingSnapshot && !gitHubAPI.servingSnapshot) {
+                    renderer.hideStatusNotice();
+                }
             }
 
+            // Language totals for the skills section, fetched once it is in view
+            this.modules.languageStats?.setRepos(allRepos);
+
             // Setup scroll animations after content is loaded
             setTimeout(() => {
                 if (this.modules.microInteractions) {
@@ -375,12 +459,81 @@ class PortfolioApp {
                 }
             }, 500);
         } catch (error) {
+            if (error.aborted) return;
+
             this.errorHandler.handleError(error, 'Failed to load initial data');
             // Show error state in UI
-            this.showLoadError();
+            this.showLoadError(error);
+
+            if (error.rateLimited) {
+                this.scheduleDataRefresh(error.resetAt);
+            }
+        } finally {
+            gitHubAPI.off('reposProgress', handleReposProgress);
+            gitHubAPI.off('staleData', handleStaleData);
+            gitHubAPI.off('snapshotData', handleSnapshotData);
         }
     }
 
+    /**
+     * Render the static repository snapshot, if there is one
+     * Returns true when it was shown
+     */
+    async renderSnapshot() {
+        const renderer = this.modules.gitHubRenderer;
+        const gitHubAPI = this.modules.gitHubAPI;
+        const snapshot = await gitHubAPI.loadSnapshot();
+
+        if (!snapshot) {
+            return false;
+        }
+
+        renderer.renderFeaturedReposFromData(snapshot.featured || gitHubAPI.processFeaturedRepos(snapshot.repos));
+        renderer.renderReposFromData(snapshot.repos);
+        renderer.showStatusNotice(`Showing project data as of ${this.formatDate(new Date(snapshot.generated_at))} while the latest loads from GitHub.`);
+        return true;
+    }
+
+    /**
+     * Show when GitHub calls resume once the API rate limit is reached
+     */
+    setupRateLimitNotice() {
+        const gitHubAPI = this.modules.gitHubAPI;
+        if (!gitHubAPI) return;
+
+        gitHubAPI.on('rateLimit', ({ resetAt }) => {
+            if (!resetAt) return;
+
+            this.modules.gitHubRenderer?.showStatusNotice(`GitHub's rate limit was reached; project details will load after ${this.formatTime(resetAt)}.`);
+            this.scheduleDataRefresh(resetAt);
+        });
+    }
+
+    /**
+     * Reload GitHub data once the API rate limit resets
+     */
+    scheduleDataRefresh(resetAt) {
+        clearTimeout(this.dataRefreshTimer);
+
+        // Small buffer so the first call after reset isn't rejected
+        const delay = Math.max(resetAt.getTime() - Date.now(), 0) + 5000;
+        this.dataRefreshTimer = setTimeout(() => this.loadInitialData(), delay);
+    }
+
+    /**
+     * Format a time of day as HH:MM in the visitor's locale
+     */
+    formatTime(date) {
+        return date.toLocaleTimeString([], { hour: '2-digit', minute: '2-digit' });
+    }
+
+    /**
+     * Format a calendar date in the visitor's locale
+     */
+    formatDate(date) {
+        return date.toLocaleDateString([], { year: 'numeric', month: 'short', day: 'numeric' });
+    }
+
     /**
      * Setup performance monitoring
      */
@@ -406,7 +559,11 @@ class PortfolioApp {
     /**
      * Show loading error state
      */
-    showLoadError() {
+    showLoadError(error = null) {
+        const reason = error?.rateLimited
+            ? ` GitHub's rate limit was reached; projects will load after ${this.formatTime(error.resetAt)}.`
+            : ' Please refresh the page.';
+
         const featuredContainer = document.getElementById("featured-container");
         const allProjectsContainer = document.getElementById("github-repos");
 
@@ -429,7 +586,7 @@ class PortfolioApp {
             icon.className = 'fas fa-exclamation-triangle';
 
             alertDiv.appendChild(icon);
-            alertDiv.appendChild(document.createTextNode(' Failed to load featured projects. Please refresh the page.'));
+            alertDiv.appendChild(document.createTextNode(' Failed to load featured projects.' + reason));
 
             featuredContainer.appendChild(alertDiv);
             featuredContainer.style.display = 'block';
@@ -449,7 +606,7 @@ class PortfolioApp {
             icon.className = 'fas fa-exclamation-triangle';
 
             alertDiv.appendChild(icon);
-            alertDiv.appendChild(document.createTextNode(' Failed to load repositories. Please refresh the page.'));
+            alertDiv.appendChild(document.createTextNode(' Failed to load repositories.' + reason));
 
             colDiv.appendChild(alertDiv);
             allProjectsContainer.appendChild(colDiv);
@@ -481,6 +638,9 @@ class PortfolioApp {
             }
         });
 
+        clearTimeout(this.dataRefreshTimer);
+        this.dataController?.abort();
+
         // Clear references
         this.modules = {};
         this.errorHandler = null;
@@ -0,0 +1,99 @@
+/**
+ * @file Site Configuration
+ * @description Data sources and options shared by the application modules.
+ * Reusing this portfolio shell for another person or organization only
+ * requires editing this file.
+ */
+
+/**
+ * GitHub data configuration
+ *
+ * sources: accounts whose public repositories are shown. The first source is
+ * the primary account (used for the profile and search).
+ *   - type: 'user' or 'org'
+ *   - name: account login
+ *   - include: optional repository names to keep; '*' matches any characters
+ *   - exclude: optional repository names to drop; '*' matches any characters
+ *
+ * graphql: optional GraphQL transport, used to feature the owners' pinned
+ * repositories instead of the most recently updated ones.
+ *   - token: GitHub token; GraphQL is disabled while empty. The token ships to
+ *     every visitor, so use a fine-grained token with public read-only access.
+ *   - pinnedLimit: maximum pinned repositories per source (GitHub allows 6)
+ *
+ * featured: the featured carousel. The selection rules (pinned through
+ * recencyHalfLife) are ignored when GraphQL returns pinned repositories,
+ * which the owners curated on GitHub.
+ *   - max: number of featured repositories
+ *   - pinned: repository names ('name' or 'owner/name') always featured first,
+ *     in this order, regardless of the rules below
+ *   - requireDescription: skip repositories without a description
+ *   - includeTopics: keep only repositories with at least one of these topics
+ *   - excludeTopics: drop repositories with any of these topics
+ *   - forks / archived: whether forks / archived repositories may be featured;
+ *     forks are off by default, pin one to feature it anyway
+ *   - weights: how much stars, recency and size count towards the score;
+ *     stars and size are log-scaled relative to the other candidates
+ *   - recencyHalfLife: days after which a repository's recency score halves
+ *   - recencyField: what recency measures - 'updated' (updated_at, also moved
+ *     by description or topic edits) or 'pushed' (pushed_at, code changes only)
+ *   - autoplay: rotate the carousel automatically (never with reduced motion)
+ *   - autoplayInterval: milliseconds each project stays on screen when rotating
+ *
+ * languageStats: the "By the code" chart in the skills section, summing the
+ * language byte counts of the sources' original (non-fork) repositories.
+ *   - enabled: show the chart
+ *   - maxRepos: how many of the most recently pushed repositories are counted
+ *     (one API request each the first time)
+ *   - maxLanguages: languages shown before the rest is folded into "Other"
+ *   - excludeLanguages: languages left out, e.g. generated 'Jupyter Notebook'
+ *
+ * snapshot: optional static copy of the repository data, shown when the GitHub
+ * API is unreachable or rate limited and on a visitor's first load.
+ *   - url: path of the file written by `npm run snapshot`
+ *
+ * @example
+ * sources: [
+ *     { type: 'user', name: 'SilentCaMXMF', exclude: ['*.github.io'] },
+ *     { type: 'org', name: 'my-team', include: ['portfolio-*'] }
+ * ],
+ * featured: {
+ *     max: 4,
+ *     pinned: ['portfolio'],
+ *     excludeTopics: ['experiment'],
+ *     forks: false,
+ *     weights: { stars: 2, recency: 1, size: 0.5 }
+ * }
+ */
+export const GITHUB_CONFIG = {
+    sources: [
+        { type: 'user', name: 'SilentCaMXMF' }
+    ],
+    graphql: {
+        token: null,
+        pinnedLimit: 6
+    },
+    featured: {
+        max: 5,
+        pinned: [],
+        requireDescription: true,
+        includeTopics: [],
+        excludeTopics: [],
+        forks: false,
+        archived: true,
+        weights: { stars: 0, recency: 1, size: 0 },
+        recencyHalfLife: 90,
+        recencyField: 'updated',
+        autoplay: false,
+        autoplayInterval: 6000
+    },
+    languageStats: {
+        enabled: true,
+        maxRepos: 30,
+        maxLanguages: 6,
+        excludeLanguages: []
+    },
+    snapshot: {
+        url: 'data/repos.json'
+    }
+};
@@ -0,0 +1,151 @@
+/**
+ * ActivityEvents Module
+ * Turns raw GitHub public events into a short, readable activity feed
+ *
+ * Kept free of DOM and network access so it can be exercised with
+ * event fixtures (see test/ActivityEvents.test.js).
+ */
+
+/**
+ * Group events (newest first) into feed items:
+ * - consecutive pushes to the same repository on the same day become one item
+ * - consecutive stars become one "starred N repositories" item
+ * - pull requests and releases are listed individually
+ * Other event types are ignored.
+ */
+export function groupEvents(events, { limit = 10 } = {}) {
+    const items = [];
+
+    for (const event of events || []) {
+        const item = toActivityItem(event);
+        if (!item) continue;
+
+        const previous = items[items.length - 1];
+
+        if (previous && canMerge(previous, item)) {
+            mergeInto(previous, item);
+            continue;
+        }
+
+        if (items.length === limit) break;
+        items.push(item);
+    }
+
+    return items;
+}
+
+/**
+ * Convert one event into a feed item, or null for events the feed skips
+ */
+function toActivityItem(event) {
+    const repo = event.repo?.name;
+    const createdAt = event.created_at;
+    const payload = event.payload || {};
+
+    if (!repo || !createdAt) return null;
+
+    switch (event.type) {
+        case 'PushEvent':
+            return {
+                type: 'push',
+                repo,
+                branch: (payload.ref || '').replace(/^refs\/heads\//, '') || null,
+                commits: payload.size ?? null,
+                pushes: 1,
+                createdAt
+            };
+
+        case 'PullRequestEvent': {
+            const pullRequest = payload.pull_request;
+            const action = getPullRequestAction(payload.action, pullRequest);
+            if (!pullRequest || !action) return null;
+
+            return {
+                type: 'pullRequest',
+                repo,
+                action,
+                number: pullRequest.number,
+                title: pullRequest.title || '',
+                url: pullRequest.html_url,
+                createdAt
+            };
+        }
+
+        case 'ReleaseEvent': {
+            const release = payload.release;
+            if (!release || (payload.action && payload.action !== 'published')) return null;
+
+            return {
+                type: 'release',
+                repo,
+                tag: release.tag_name,
+                name: release.name || release.tag_name,
+                url: release.html_url,
+                createdAt
+            };
+        }
+
+        case 'WatchEvent':
+            return {
+                type: 'star',
+                repos: [repo],
+                createdAt
+            };
+
+        default:
+            return null;
+    }
+}
+
+/**
+ * Map a pull request event action to what the feed says happened
+ */
+function getPullRequestAction(action, pullRequest) {
+    if (action === 'closed') {
+        return pullRequest?.merged ? 'merged' : 'closed';
+    }
+    return ['opened', 'reopened'].includes(action) ? action : null;
+}
+
+/**
+ * Whether a feed item can absorb the (older) item that follows it
+ */
+function canMerge(previous, item) {
+    if (previous.type !== item.type) return false;
+
+    if (item.type === 'push') {
+        return previous.repo === item.repo && isSameDay(previous.createdAt, item.createdAt);
+    }
+
+    return item.type === 'star';
+}
+
+/**
+ * Fold an older item into a newer one of the same kind
+ */
+function mergeInto(previous, item) {
+    if (item.type === 'push') {
+        previous.pushes += item.pushes;
+        // The public events API does not always report commit counts
+        previous.commits = previous.commits === null || item.commits === null
+            ? null
+            : previous.commits + item.commits;
+        if (previous.branch !== item.branch) {
+            previous.branch = null;
+        }
+        return;
+    }
+
+    item.repos.forEach(repo => {
+        if (!previous.repos.includes(repo)) {
+            previous.repos.push(repo);
+        }
+    });
+}
+
+/**
+ * Compare the UTC calendar days of two ISO timestamps
+ */
+function isSameDay(a, b) {
+    return a.slice(0, 10) === b.slice(0, 10);
+}
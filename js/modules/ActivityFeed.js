@@ -0,0 +1,230 @@
+/**
+ * ActivityFeed Module
+ * Renders the "Recent activity" section from GitHub public events
+ */
+
+import { asyncErrorBoundary } from './ErrorBoundary.js';
+import { groupEvents } from './ActivityEvents.js';
+import { RelativeTime } from './RelativeTime.js';
+
+export class ActivityFeed {
+    constructor(gitHubAPI, { lazyLoader = null, relativeTime = null, ...options } = {}) {
+        this.gitHubAPI = gitHubAPI;
+        this.lazyLoader = lazyLoader;
+        // Without the shared instance times are still shown, just in English and not refreshed
+        this.relativeTime = relativeTime || new RelativeTime();
+        this.options = {
+            sectionId: 'activity-section',
+            feedId: 'activity-feed',
+            maxItems: 10,
+            ...options
+        };
+        this.loading = false;
+        this.abortController = new AbortController();
+        this.initialized = false;
+    }
+
+    /**
+     * Initialize activity feed
+     * Events are only fetched once the section scrolls into view
+     */
+    initialize() {
+        if (this.initialized) return;
+
+        const section = document.getElementById(this.options.sectionId);
+        if (!section) return;
+
+        if (this.lazyLoader) {
+            this.lazyLoader.observeVisibility(section, () => this.load());
+        } else {
+            this.load();
+        }
+
+        this.initialized = true;
+    }
+
+    /**
+     * Fetch events and render the feed, with loading and error states
+     */
+    async load() {
+        if (this.loading) return;
+        this.loading = true;
+
+        try {
+            await asyncErrorBoundary.execute(async () => {
+                let events;
+                try {
+                    events = await this.gitHubAPI.fetchEvents({ signal: this.abortController.signal });
+                } catch (error) {
+                    // Torn down while loading - nothing to show
+                    if (error.aborted) return false;
+
+                    // Visitors get a plain message; the details go to the console
+                    console.error('❌ Failed to load recent activity:', error);
+                    throw new Error(error.rateLimited
+                        ? 'Recent activity is unavailable until the GitHub rate limit resets.'
+                        : 'Recent activity could not be loaded right now.');
+                }
+
+                this.render(groupEvents(events, { limit: this.options.maxItems }));
+                return true;
+            }, {
+                elementId: this.options.feedId,
+                loadingMessage: 'Loading recent activity...',
+                context: 'ActivityFeed'
+            });
+        } finally {
+            this.loading = false;
+        }
+    }
+
+    /**
+     * Render grouped feed items
+     * SECURITY: Built with DOM methods - event titles come from GitHub users
+     */
+    render(items) {
+        const feed = document.getElementById(this.options.feedId);
+        if (!feed) return;
+
+        if (items.length === 0) {
+            const empty = document.createElement('p');
+            empty.className = 'activity-empty';
+            empty.textContent = 'No recent public activity.';
+            feed.replaceChildren(empty);
+            return;
+        }
+
+        const list = document.createElement('ol');
+        list.className = 'activity-list';
+
+        items.forEach(item => {
+            list.appendChild(this.createActivityItem(item));
+        });
+
+        feed.replaceChildren(list);
+    }
+
+    /**
+     * Create one feed entry: icon, description and relative time
+     */
+    createActivityItem(item) {
+        const entry = document.createElement('li');
+        entry.className = `activity-item activity-${item.type}`;
+
+        const icon = document.createElement('i');
+        icon.className = `activity-icon ${this.getIconClass(item)}`;
+        icon.setAttribute('aria-hidden', 'true');
+
+        const text = document.createElement('p');
+        text.className = 'activity-text';
+        this.appendDescription(text, item);
+
+        const time = this.relativeTime.create(item.createdAt, { className: 'activity-time' });
+
+        entry.appendChild(icon);
+        entry.appendChild(text);
+        entry.appendChild(time);
+        return entry;
+    }
+
+    /**
+     * Get the Font Awesome icon for a feed item
+     */
+    getIconClass(item) {
+        switch (item.type) {
+            case 'push':
+                return 'fas fa-code-commit';
+            case 'pullRequest':
+                return 'fas fa-code-pull-request';
+            case 'release':
+                return 'fas fa-tag';
+            default:
+                return 'fas fa-star';
+        }
+    }
+
+    /**
+     * Append the sentence describing a feed item
+     */
+    appendDescription(parent, item) {
+        const append = (value) => {
+            parent.appendChild(typeof value === 'string' ? document.createTextNode(value) : value);
+        };
+
+        switch (item.type) {
+            case 'push': {
+                if (item.commits) {
+                    append(`Pushed ${item.commits} commit${item.commits === 1 ? '' : 's'} to `);
+                } else {
+                    append(item.pushes > 1 ? `Pushed ${item.pushes} times to ` : 'Pushed to ');
+                }
+                append(this.createRepoLink(item.repo));
+                if (item.branch) {
+                    append(` (${item.branch})`);
+                }
+                break;
+            }
+
+            case 'pullRequest': {
+                const verb = item.action.charAt(0).toUpperCase() + item.action.slice(1);
+                append(`${verb} pull request `);
+                append(this.createLink(item.url, `#${item.number}`));
+                append(' in ');
+                append(this.createRepoLink(item.repo));
+                if (item.title) {
+                    append(`: ${item.title}`);
+                }
+                break;
+            }
+
+            case 'release':
+                append('Released ');
+                append(this.createLink(item.url, item.name));
+                append(' of ');
+                append(this.createRepoLink(item.repo));
+                break;
+
+            case 'star':
+                append('Starred ');
+                if (item.repos.length === 1) {
+                    append(this.createRepoLink(item.repos[0]));
+                } else {
+                    append(`${item.repos.length} repositories, including `);
+                    append(this.createRepoLink(item.repos[0]));
+                }
+                break;
+        }
+    }
+
+    /**
+     * Create a link to a repository on github.com
+     */
+    createRepoLink(fullName) {
+        return this.createLink(`https://github.com/${fullName}`, fullName);
+    }
+
+    /**
+     * Create an external link
+     */
+    createLink(href, text) {
+        const link = document.createElement('a');
+        link.href = href;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        link.textContent = text;
+        return link;
+    }
+
+    /**
+     * Cleanup
+     */
+    destroy() {
+        this.abortController.abort();
+
+        const section = document.getElementById(this.options.sectionId);
+        if (section && this.lazyLoader) {
+            this.lazyLoader.unobserve(section);
+        }
+        this.initialized = false;
+    }
+}
@@ -26,7 +26,7 @@
  */
 
 export class CacheManager {
-    constructor() {
+    constructor(options = {}) {
         this.cache = new Map();
         this.initialized = false;
         
@@ -35,7 +35,9 @@ export class CacheManager {
             defaultExpiry: 5 * 60 * 1000, // 5 minutes
             maxEntries: 100,
             enableStaleWhileRevalidate: true,
-            staleDataExpiry: 24 * 60 * 60 * 1000 // 24 hours for stale data
+            staleDataExpiry: 24 * 60 * 60 * 1000, // 24 hours for stale data
+            persistent: true, // false keeps the cache in memory (e.g. Node scripts)
+            ...options
         };
     }
 
@@ -64,6 +66,8 @@ export class CacheManager {
      * Load cache from localStorage
      */
     loadFromStorage() {
+        if (!this.config.persistent) return;
+
         try {
             const stored = localStorage.getItem('portfolio-cache');
             if (stored) {
@@ -80,14 +84,51 @@ export class CacheManager {
      * Save cache to localStorage
      */
     saveToStorage() {
-        try {
-            const data = Object.fromEntries(this.cache);
-            localStorage.setItem('portfolio-cache', JSON.stringify(data));
-        } catch (error) {
-            console.warn('⚠️ Failed to save cache to storage:', error);
+        if (!this.config.persistent) return;
+
+        const data = Object.fromEntries(this.cache);
+        let largest = null; // Keys by serialized size, computed on the first quota error
+
+        // Over quota, the largest entries are left out one at a time (they stay in
+        // memory) so the remaining caches still survive a reload
+        for (;;) {
+            try {
+                localStorage.setItem('portfolio-cache', JSON.stringify(data));
+                return;
+            } catch (error) {
+                if (!this.isQuotaError(error)) {
+                    console.warn('⚠️ Failed to save cache to storage:', error);
+                    return;
+                }
+
+                largest ??= Object.keys(data)
+                    .map(key => ({ key, size: JSON.stringify(data[key]).length }))
+                    .sort((a, b) => b.size - a.size)
+                    .map(({ key }) => key);
+
+                const key = largest.shift();
+                if (key === undefined) {
+                    console.warn('⚠️ Failed to save cache to storage:', error);
+                    return;
+                }
+
+                console.warn(`⚠️ Storage quota exceeded - keeping ${key} in memory only`);
+                delete data[key];
+            }
         }
     }
 
+    /**
+     * Whether a storage error means localStorage is full
+     */
+    isQuotaError(error) {
+        return error instanceof DOMException && (
+            error.name === 'QuotaExceededError' ||
+            error.name === 'NS_ERROR_DOM_QUOTA_REACHED' || // Firefox
+            error.code === 22
+        );
+    }
+
     /**
      * Get cached data with stale-while-revalidate
      */
@@ -117,6 +158,7 @@ export class CacheManager {
 
         return {
             data: cached.data,
+            meta: cached.meta || null,
             isExpired,
             isStale,
             cachedAt: cached.timestamp
@@ -125,8 +167,9 @@ export class CacheManager {
 
     /**
      * Set cached data
+     * Optional meta (e.g. HTTP validators) is stored alongside the entry
      */
-    set(key, data, expiry = null) {
+    set(key, data, expiry = null, meta = null) {
         if (!this.initialized) {
             return false;
         }
@@ -137,6 +180,7 @@ export class CacheManager {
 
         const cacheEntry = {
             data,
+            meta,
             timestamp: now,
             expiry: finalExpiry,
             staleExpiry,
@@ -154,6 +198,23 @@ export class CacheManager {
         return true;
     }
 
+    /**
+     * Extend the expiry of an existing entry without touching its data
+     */
+    refresh(key, expiry = null) {
+        const cached = this.cache.get(key);
+        if (!this.initialized || !cached) {
+            return false;
+        }
+
+        const now = Date.now();
+        cached.expiry = expiry || (now + this.config.defaultExpiry);
+        cached.staleExpiry = now + this.config.staleDataExpiry;
+        this.saveToStorage();
+
+        return true;
+    }
+
     /**
      * Check if cache entry is expired
      */
@@ -0,0 +1,103 @@
+/**
+ * FeaturedSelection Module
+ * Picks the repositories shown in the featured carousel from declarative rules
+ *
+ * Kept free of DOM and network access; GitHubAPI.processFeaturedRepos feeds
+ * it the merged repository list and the `featured` config.
+ */
+
+/**
+ * Default rules - the most recently updated original repositories with a description
+ * Forks are left out unless pinned, so other people's work isn't presented as the owner's
+ */
+export const DEFAULT_FEATURED_RULES = {
+    max: 5,
+    pinned: [],
+    requireDescription: true,
+    includeTopics: [],
+    excludeTopics: [],
+    forks: false,
+    archived: true,
+    weights: { stars: 0, recency: 1, size: 0 },
+    recencyHalfLife: 90, // days until the recency score halves
+    recencyField: 'updated' // 'updated' (updated_at) or 'pushed' (pushed_at)
+};
+
+/**
+ * Select featured repositories:
+ * - pinned names come first, in the order listed, regardless of the other rules
+ * - the remaining slots go to repos passing the filters, highest score first
+ */
+export function selectFeaturedRepos(repos, rules = {}, now = Date.now()) {
+    const config = {
+        ...DEFAULT_FEATURED_RULES,
+        ...rules,
+        weights: { ...DEFAULT_FEATURED_RULES.weights, ...rules.weights }
+    };
+
+    const pinned = config.pinned
+        .map(name => repos.find(repo => matchesName(repo, name)))
+        .filter((repo, index, list) => repo && list.indexOf(repo) === index);
+
+    const candidates = repos.filter(repo => !pinned.includes(repo) && passesFilters(repo, config));
+
+    // Scores are relative, so the largest star count and size in the pool map to 1
+    const maxStars = Math.max(0, ...candidates.map(repo => repo.stargazers_count || 0));
+    const maxSize = Math.max(0, ...candidates.map(repo => repo.size || 0));
+
+    const scored = candidates
+        .map(repo => ({ repo, score: scoreRepo(repo, config, { maxStars, maxSize, now }) }))
+        .sort((a, b) =>
+            b.score - a.score ||
+            (b.repo.stargazers_count || 0) - (a.repo.stargazers_count || 0) ||
+            a.repo.name.localeCompare(b.repo.name)
+        )
+        .map(({ repo }) => repo);
+
+    return [...pinned, ...scored].slice(0, config.max);
+}
+
+/**
+ * Whether a repo matches a pinned entry ("name" or "owner/name", case-insensitive)
+ */
+function matchesName(repo, name) {
+    const wanted = name.toLowerCase();
+    return repo.name.toLowerCase() === wanted ||
+        (repo.full_name || '').toLowerCase() === wanted;
+}
+
+/**
+ * Apply the description, fork, archived and topic rules
+ */
+function passesFilters(repo, config) {
+    const topics = repo.topics || [];
+
+    if (config.requireDescription && !(repo.description && repo.description.trim() !== '')) return false;
+    if (!config.forks && repo.fork) return false;
+    if (!config.archived && repo.archived) return false;
+    if (config.includeTopics.length > 0 && !config.includeTopics.some(topic => topics.includes(topic))) return false;
+    if (config.excludeTopics.some(topic => topics.includes(topic))) return false;
+
+    return true;
+}
+
+/**
+ * Weighted score from stars, recency and size, each normalized to 0..1
+ * Stars and size use a log scale so one huge repo doesn't flatten the rest
+ */
+function scoreRepo(repo, config, { maxStars, maxSize, now }) {
+    const { weights } = config;
+
+    const stars = maxStars > 0 ? Math.log1p(repo.stargazers_count || 0) / Math.log1p(maxStars) : 0;
+    const size = maxSize > 0 ? Math.log1p(repo.size || 0) / Math.log1p(maxSize) : 0;
+
+    // updated_at also moves on metadata edits; pushed_at only tracks code changes
+    const timestamp = config.recencyField === 'pushed'
+        ? repo.pushed_at || repo.updated_at
+        : repo.updated_at;
+    const lastActivity = new Date(timestamp).getTime();
+    const ageDays = Number.isNaN(lastActivity) ? Infinity : Math.max(0, now - lastActivity) / (24 * 60 * 60 * 1000);
+    const recency = Math.pow(0.5, ageDays / config.recencyHalfLife);
+
+    return weights.stars * stars + weights.recency * recency + weights.size * size;
+}
@@ -3,20 +3,74 @@
  * Handles GitHub API requests with error handling and caching
  */
 
+import { EventManager } from './EventManager.js';
+import { selectFeaturedRepos, DEFAULT_FEATURED_RULES } from './FeaturedSelection.js';
+
 export class GitHubAPI {
-    constructor(cacheManager) {
+    constructor(cacheManager, config = {}) {
         this.cacheManager = cacheManager;
         this.baseURL = 'https://api.github.com';
-        this.username = 'SilentCaMXMF';
+        this.graphqlURL = 'https://api.github.com/graphql';
+        this.config = {
+            sources: [{ type: 'user', name: 'SilentCaMXMF' }],
+            graphql: { token: null, pinnedLimit: 6 },
+            snapshot: null, // { url } of a static snapshot used when live calls fail
+            featured: {}, // Featured selection rules, see FeaturedSelection.js
+            headers: {}, // Extra request headers, e.g. Authorization for build scripts
+            ...config
+        };
+        this.sources = this.config.sources;
+        this.username = this.sources[0]?.name; // Primary account
         this.cacheExpiry = 5 * 60 * 1000; // 5 minutes
+        this.resourceExpiry = 60 * 60 * 1000; // 1 hour for per-repository details
         this.maxRetries = 3;
         this.retryDelay = 1000;
+        this.perPage = 100;
+        this.maxPages = 10; // Safety cap: 1000 repositories
+        this.statsRetries = 3; // Polls while GitHub computes repository statistics
+        this.statsRetryDelay = 2000;
         this.initialized = false;
+        this.eventManager = new EventManager();
+        this.snapshotPromise = null;
+        this.servingSnapshot = false;
+
+        // Pending GET requests by URL, shared by concurrent callers
+        this.inFlight = new Map();
+        // Pending fetchRepos() runs (strict and lenient), shared the same way
+        this.reposInFlight = new Map();
+
+        // Per-repository collections too large for localStorage (READMEs), kept for
+        // the session only: cacheKey -> Map of full name -> entry, oldest first
+        this.memoryResources = new Map();
+        this.maxMemoryResources = 50; // Entries per collection
+
+        // Persisted per-repository collections, read from the cache once and written
+        // back together after a quiet period instead of on every card's details
+        this.repoResources = new Map();
+        this.dirtyRepoResources = new Set();
+        this.repoResourceFlushTimer = null;
+        this.repoResourceFlushDelay = 1000;
+        this.flushRepoResources = this.flushRepoResources.bind(this);
+
+        // Last known rate limit state (reset is a timestamp in ms)
+        this.rateLimit = {
+            limit: null,
+            remaining: null,
+            reset: null
+        };
         
         // Cache keys
         this.CACHE_KEYS = {
             REPOS: 'github-repos-cache',
-            FEATURED: 'github-featured-cache'
+            FEATURED: 'github-featured-cache',
+            PINNED: 'github-pinned-cache',
+            LANGUAGES: 'github-languages-cache',
+            READMES: 'github-readmes-cache',
+            COMMIT_ACTIVITY: 'github-commit-activity-cache',
+            RELEASES: 'github-releases-cache',
+            TAGS: 'github-tags-cache',
+            PARENTS: 'github-parents-cache',
+            EVENTS: 'github-events-cache'
         };
     }
 
@@ -26,6 +80,12 @@ export class GitHubAPI {
     initialize() {
         try {
             this.validateConfiguration();
+            // Earlier versions persisted READMEs; they only take up storage quota now
+            this.cacheManager?.delete?.(this.CACHE_KEYS.READMES);
+            // Don't lose details fetched during the last flush delay
+            if (typeof window !== 'undefined') {
+                window.addEventListener('pagehide', this.flushRepoResources);
+            }
             this.initialized = true;
         } catch (error) {
             console.error('❌ GitHubAPI initialization failed:', error);
@@ -37,9 +97,19 @@ export class GitHubAPI {
      * Validate API configuration
      */
     validateConfiguration() {
-        if (!this.username) {
-            throw new Error('GitHub username is required');
+        if (!Array.isArray(this.sources) || this.sources.length === 0) {
+            throw new Error('At least one GitHub source is required');
         }
+
+        this.sources.forEach(source => {
+            if (!source.name) {
+                throw new Error('GitHub source name is required');
+            }
+
+            if (!['user', 'org'].includes(source.type)) {
+                throw new Error(`Invalid GitHub source type "${source.type}" for ${source.name}`);
+            }
+        });
         
         if (!this.cacheManager) {
             throw new Error('CacheManager is required');
@@ -47,138 +117,1314 @@ export class GitHubAPI {
     }
 
     /**
-     * Fetch all repositories with caching
+     * Subscribe to API events
+     * - 'reposProgress' with { page, pageRepos, repos, done } for every page fetched
+     * - 'rateLimit' with the rate limit status when the quota runs out
+     * - 'staleData' with { cacheKey, cachedAt, resetAt } when cached data is served instead
      */
-    async fetchRepos() {
-        const cacheKey = this.CACHE_KEYS.REPOS;
-        
+    on(event, callback) {
+        this.eventManager.on(event, callback);
+    }
+
+    /**
+     * Unsubscribe from API events
+     */
+    off(event, callback) {
+        this.eventManager.off(event, callback);
+    }
+
+    /**
+     * Read a cache entry, fresh or stale, dropping corrupted entries
+     */
+    readCacheEntry(cacheKey) {
         try {
-            // Try to get from cache first
-            let cachedData;
-            try {
-                cachedData = this.cacheManager.get(cacheKey);
-            } catch (cacheError) {
-                // Corrupted cache data - clear and continue to fetch
-                this.cacheManager.delete(cacheKey);
-                cachedData = null;
+            return this.cacheManager.get(cacheKey);
+        } catch (cacheError) {
+            // Corrupted cache data - clear and continue to fetch
+            this.cacheManager.delete(cacheKey);
+            return null;
+        }
+    }
+
+    /**
+     * Read fresh data from cache
+     */
+    readCache(cacheKey) {
+        const cached = this.readCacheEntry(cacheKey);
+        return cached && !cached.isExpired ? cached.data : null;
+    }
+
+    /**
+     * Write data to cache with a time-to-live
+     */
+    writeCache(cacheKey, data, ttl = this.cacheExpiry, meta = null) {
+        this.cacheManager.set(cacheKey, data, Date.now() + ttl, meta);
+    }
+
+    /**
+     * Fetch a single resource through the cache, revalidating stale entries
+     * with If-None-Match / If-Modified-Since so unchanged data costs no quota
+     * transform(data) trims fresh responses down to what is worth caching
+     */
+    async fetchConditional(cacheKey, url, errorMessage, { ttl = this.cacheExpiry, transform = data => data, signal } = {}) {
+        const cached = this.readCacheEntry(cacheKey);
+        if (cached && !cached.isExpired) {
+            return cached.data;
+        }
+
+        try {
+            const response = await this.request(url, errorMessage, {
+                validators: cached?.meta,
+                signal
+            });
+
+            if (response.notModified) {
+                this.cacheManager.refresh(cacheKey, Date.now() + ttl);
+                return cached.data;
             }
-            
-            if (cachedData && !this.cacheManager.isExpired(cacheKey)) {
-                return cachedData;
+
+            const data = transform(response.data);
+            this.writeCache(cacheKey, data, ttl, response.validators);
+            return data;
+
+        } catch (error) {
+            return this.serveStale(cacheKey, cached, error);
+        }
+    }
+
+    /**
+     * Serve stale cached data while rate limited, otherwise rethrow
+     */
+    serveStale(cacheKey, cached, error) {
+        if (!error.rateLimited || !cached) {
+            throw error;
+        }
+
+        this.eventManager.emit('staleData', {
+            cacheKey,
+            cachedAt: new Date(cached.cachedAt),
+            resetAt: error.resetAt
+        });
+
+        return cached.data;
+    }
+
+    /**
+     * Fetch all repositories from every configured source with caching
+     * Follows pagination so accounts with more than 100 repositories are complete
+     * With strict, any failed source rejects instead of being skipped
+     *
+     * Concurrent callers share one run, so 'reposProgress' is emitted once per
+     * page however many callers wait; aborting works as it does for request()
+     */
+    fetchRepos({ signal, strict = false } = {}) {
+        const errorMessage = 'Failed to fetch repositories';
+
+        if (signal?.aborted) {
+            return Promise.reject(this.createAbortError(errorMessage));
+        }
+
+        const key = strict ? 'strict' : 'lenient';
+        let pending = this.reposInFlight.get(key);
+
+        if (!pending) {
+            const controller = new AbortController();
+            pending = { controller, waiting: 0 };
+            pending.promise = this.loadRepos({ signal: controller.signal, strict }).finally(() => {
+                if (this.reposInFlight.get(key) === pending) {
+                    this.reposInFlight.delete(key);
+                }
+            });
+            this.reposInFlight.set(key, pending);
+        }
+
+        return this.waitForRequest(pending, signal, errorMessage);
+    }
+
+    /**
+     * Fetch and merge every source's repositories, emitting 'reposProgress' per page
+     */
+    async loadRepos({ signal, strict }) {
+        const merged = [];
+        let page = 0;
+        let firstError = null;
+
+        for (const [index, source] of this.sources.entries()) {
+            const isLastSource = index === this.sources.length - 1;
+
+            try {
+                const repos = await this.fetchSourceRepos(source, (pageRepos, sourceRepos, done) => {
+                    page++;
+                    this.eventManager.emit('reposProgress', {
+                        page,
+                        pageRepos: this.prepareSourceRepos(source, pageRepos),
+                        repos: this.mergeRepos([...merged, ...this.prepareSourceRepos(source, sourceRepos)]),
+                        done: done && isLastSource
+                    });
+                }, { signal });
+
+                merged.push(...this.prepareSourceRepos(source, repos));
+
+            } catch (error) {
+                if (error.aborted || strict) {
+                    throw error;
+                }
+
+                // One unreachable source shouldn't hide the others
+                console.error(`❌ Error fetching repositories for ${source.name}:`, error);
+                firstError = firstError || error;
             }
+        }
+
+        if (firstError && merged.length === 0) {
+            const snapshot = await this.useSnapshot(firstError);
+            return snapshot.repos;
+        }
+
+        this.servingSnapshot = false;
+        return this.mergeRepos(merged);
+    }
+
+    /**
+     * Load the static repository snapshot (see scripts/build-repo-snapshot.mjs)
+     * Resolves to null when no snapshot is configured or it can't be loaded
+     */
+    loadSnapshot() {
+        if (!this.snapshotPromise) {
+            const url = this.config.snapshot?.url;
+
+            this.snapshotPromise = !url
+                ? Promise.resolve(null)
+                : fetch(url)
+                    .then(response => (response.ok ? response.json() : null))
+                    .then(snapshot => (Array.isArray(snapshot?.repos) ? snapshot : null))
+                    .catch((error) => {
+                        console.warn('⚠️ Failed to load repository snapshot:', error);
+                        return null;
+                    });
+        }
+
+        return this.snapshotPromise;
+    }
+
+    /**
+     * Fall back to the snapshot after live calls failed, otherwise rethrow
+     */
+    async useSnapshot(error) {
+        const snapshot = await this.loadSnapshot();
+        if (!snapshot) {
+            throw error;
+        }
+
+        this.servingSnapshot = true;
+        this.eventManager.emit('snapshotData', {
+            generatedAt: new Date(snapshot.generated_at),
+            error
+        });
+
+        return snapshot;
+    }
+
+    /**
+     * Check whether every source has a (possibly stale) cached repository list
+     */
+    hasCachedRepos() {
+        return this.sources.every(source => Boolean(this.readCacheEntry(this.getSourceCacheKey(source))));
+    }
+
+    /**
+     * Fetch the raw repository list of a single source with caching
+     */
+    async fetchSourceRepos(source, onPage = null, { signal } = {}) {
+        const cacheKey = this.getSourceCacheKey(source);
 
-            // Fetch from API
-            const repos = await this.fetchWithRetry(
-                `${this.baseURL}/users/${this.username}/repos?per_page=100`,
-                `Failed to fetch repositories`
+        // Try to get from cache first
+        const cached = this.readCacheEntry(cacheKey);
+        if (cached && !cached.isExpired) {
+            return cached.data;
+        }
+        
+        try {
+            // Fetch every page from API, revalidating any stale copy
+            const { items, pages, notModified } = await this.fetchAllPages(
+                this.getSourceReposUrl(source),
+                `Failed to fetch repositories for ${source.name}`,
+                cached,
+                onPage,
+                { signal }
             );
 
-            // Cache the results
-            this.cacheManager.set(cacheKey, repos, this.cacheExpiry);
+            if (notModified) {
+                this.cacheManager.refresh(cacheKey, Date.now() + this.cacheExpiry);
+                return cached.data;
+            }
+
+            // Cache the merged pages with per-page validators
+            this.writeCache(cacheKey, items, this.cacheExpiry, { pages });
             
-            return repos;
+            return items;
 
         } catch (error) {
-            console.error('❌ Error fetching repositories:', error);
-            throw error;
+            return this.serveStale(cacheKey, cached, error);
+        }
+    }
+
+    /**
+     * Get the repository list endpoint for a source
+     */
+    getSourceReposUrl(source) {
+        const path = source.type === 'org' ? 'orgs' : 'users';
+        return `${this.baseURL}/${path}/${encodeURIComponent(source.name)}/repos?per_page=${this.perPage}`;
+    }
+
+    /**
+     * Get the cache key for a source's repository list (or another per-source resource)
+     */
+    getSourceCacheKey(source, prefix = this.CACHE_KEYS.REPOS) {
+        return `${prefix}:${source.type}:${source.name}`;
+    }
+
+    /**
+     * Apply a source's include/exclude rules and tag each repository with its source
+     */
+    prepareSourceRepos(source, repos) {
+        return repos
+            .filter(repo => this.isRepoIncluded(source, repo.name))
+            .map(repo => ({
+                ...repo,
+                source: { type: source.type, name: source.name }
+            }));
+    }
+
+    /**
+     * Check a repository name against a source's include/exclude rules
+     */
+    isRepoIncluded(source, name) {
+        const include = (source.include || []).map(pattern => this.createNamePattern(pattern));
+        const exclude = (source.exclude || []).map(pattern => this.createNamePattern(pattern));
+
+        return (include.length === 0 || include.some(pattern => pattern.test(name))) &&
+            !exclude.some(pattern => pattern.test(name));
+    }
+
+    /**
+     * Convert a repository name pattern ('*' wildcard) to a case-insensitive RegExp
+     */
+    createNamePattern(pattern) {
+        const escaped = pattern
+            .split('*')
+            .map(part => part.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+            .join('.*');
+        return new RegExp(`^${escaped}$`, 'i');
+    }
+
+    /**
+     * Merge repositories from several sources, dropping duplicates
+     */
+    mergeRepos(repos) {
+        const seen = new Set();
+        return repos.filter(repo => {
+            const key = repo.full_name || repo.name;
+            if (seen.has(key)) return false;
+            seen.add(key);
+            return true;
+        });
+    }
+
+    /**
+     * Fetch recent public activity of every configured source, newest first
+     */
+    async fetchEvents({ signal } = {}) {
+        const merged = [];
+        let firstError = null;
+
+        for (const source of this.sources) {
+            try {
+                const events = await this.fetchConditional(
+                    this.getSourceCacheKey(source, this.CACHE_KEYS.EVENTS),
+                    this.getSourceEventsUrl(source),
+                    `Failed to fetch activity for ${source.name}`,
+                    {
+                        transform: (data) => data.map(event => this.normalizeEvent(event)),
+                        signal
+                    }
+                );
+
+                merged.push(...events.filter(event => this.isEventIncluded(source, event)));
+
+            } catch (error) {
+                if (error.aborted) {
+                    throw error;
+                }
+
+                console.error(`❌ Error fetching activity for ${source.name}:`, error);
+                firstError = firstError || error;
+            }
         }
+
+        if (firstError && merged.length === 0) {
+            throw firstError;
+        }
+
+        const seen = new Set();
+        return merged
+            .filter(event => !seen.has(event.id) && seen.add(event.id))
+            .sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
+    }
+
+    /**
+     * Get the public events endpoint for a source
+     */
+    getSourceEventsUrl(source) {
+        const name = encodeURIComponent(source.name);
+        return source.type === 'org'
+            ? `${this.baseURL}/orgs/${name}/events?per_page=${this.perPage}`
+            : `${this.baseURL}/users/${name}/events/public?per_page=${this.perPage}`;
+    }
+
+    /**
+     * Hide activity in the source's own repositories that its rules exclude
+     */
+    isEventIncluded(source, event) {
+        const [owner, name] = (event.repo?.name || '').split('/');
+        return owner?.toLowerCase() !== source.name.toLowerCase() || this.isRepoIncluded(source, name);
+    }
+
+    /**
+     * Keep only the event fields the activity feed uses
+     * Raw events embed whole pull requests and releases, which would bloat the cache
+     */
+    normalizeEvent(event) {
+        const payload = event.payload || {};
+        const pullRequest = payload.pull_request;
+        const release = payload.release;
+
+        return {
+            id: event.id,
+            type: event.type,
+            created_at: event.created_at,
+            actor: event.actor ? { login: event.actor.login } : null,
+            repo: { name: event.repo?.name },
+            payload: {
+                action: payload.action || null,
+                ref: payload.ref || null,
+                size: payload.size ?? payload.commits?.length ?? null,
+                pull_request: pullRequest ? {
+                    number: pullRequest.number,
+                    title: pullRequest.title,
+                    html_url: pullRequest.html_url,
+                    merged: Boolean(pullRequest.merged)
+                } : null,
+                release: release ? {
+                    name: release.name,
+                    tag_name: release.tag_name,
+                    html_url: release.html_url
+                } : null
+            }
+        };
     }
 
     /**
-     * Fetch featured repositories (top 5 with descriptions)
+     * Fetch featured repositories
+     * Uses the owners' pinned repositories when GraphQL is configured,
+     * otherwise the top 5 with descriptions
      */
-    async fetchFeaturedRepos() {
+    async fetchFeaturedRepos({ signal } = {}) {
         const cacheKey = this.CACHE_KEYS.FEATURED;
         
         try {
             // Try to get from cache first
-            const cachedData = this.cacheManager.get(cacheKey);
-            if (cachedData && !this.cacheManager.isExpired(cacheKey)) {
+            const cachedData = this.readCache(cacheKey);
+            if (cachedData) {
                 return cachedData;
             }
 
-            // Fetch all repos first
-            const allRepos = await this.fetchRepos();
-            
-            // Filter and sort for featured
-            const featured = this.processFeaturedRepos(allRepos);
+            let featured = [];
+
+            if (this.isGraphQLEnabled()) {
+                try {
+                    // The owners already curated these on GitHub
+                    featured = (await this.fetchPinnedRepos({ signal })).slice(0, this.getMaxFeatured());
+                } catch (error) {
+                    if (error.aborted) {
+                        throw error;
+                    }
+                    console.warn('⚠️ Falling back to recent repositories for featured section:', error);
+                }
+            }
+
+            if (featured.length === 0) {
+                // Fetch all repos first
+                const allRepos = await this.fetchRepos({ signal });
+
+                // Snapshot picks aren't cached so live data replaces them as soon as possible
+                if (this.servingSnapshot) {
+                    const snapshot = await this.loadSnapshot();
+                    return snapshot.featured || this.processFeaturedRepos(allRepos);
+                }
+
+                // Filter and sort for featured
+                featured = this.processFeaturedRepos(allRepos);
+            }
             
             // Cache the results
-            this.cacheManager.set(cacheKey, featured, this.cacheExpiry);
+            this.writeCache(cacheKey, featured);
             
             return featured;
 
         } catch (error) {
-            console.error('❌ Error fetching featured repositories:', error);
+            if (!error.aborted) {
+                console.error('❌ Error fetching featured repositories:', error);
+            }
+            throw error;
+        }
+    }
+
+    /**
+     * Check if the GraphQL transport is configured
+     */
+    isGraphQLEnabled() {
+        return Boolean(this.config.graphql?.token);
+    }
+
+    /**
+     * Fetch pinned repositories of every source in a single GraphQL round trip
+     * Results are normalized to the REST repository shape
+     */
+    async fetchPinnedRepos({ signal } = {}) {
+        const cacheKey = this.CACHE_KEYS.PINNED;
+        const cached = this.readCacheEntry(cacheKey);
+        if (cached && !cached.isExpired) {
+            return cached.data;
+        }
+
+        try {
+            const variables = {};
+            const owners = this.sources.map((source, index) => {
+                variables[`login${index}`] = source.name;
+                return `source${index}: repositoryOwner(login: $login${index}) { ...PinnedItems }`;
+            });
+            const parameters = this.sources.map((source, index) => `$login${index}: String!`);
+
+            const query = `
+                query PinnedRepositories(${parameters.join(', ')}) {
+                    ${owners.join('\n')}
+                }
+
+                fragment PinnedItems on RepositoryOwner {
+                    ... on ProfileOwner {
+                        pinnedItems(first: ${this.config.graphql.pinnedLimit || 6}, types: REPOSITORY) {
+                            nodes {
+                                ... on Repository {
+                                    name
+                                    nameWithOwner
+                                    description
+                                    url
+                                    homepageUrl
+                                    stargazerCount
+                                    forkCount
+                                    isFork
+                                    isArchived
+                                    isTemplate
+                                    parent { nameWithOwner url }
+                                    createdAt
+                                    updatedAt
+                                    pushedAt
+                                    diskUsage
+                                    owner { login }
+                                    primaryLanguage { name }
+                                    licenseInfo { spdxId name }
+                                    watchers { totalCount }
+                                    issues(states: OPEN) { totalCount }
+                                    repositoryTopics(first: 20) { nodes { topic { name } } }
+                                    languages(first: 10, orderBy: { field: SIZE, direction: DESC }) {
+                                        edges { size node { name } }
+                                    }
+                                    latestRelease { name tagName url publishedAt }
+                                }
+                            }
+                        }
+                    }
+                }
+            `;
+
+            const data = await this.graphql(query, variables, 'Failed to fetch pinned repositories', { signal });
+
+            const pinned = this.mergeRepos(this.sources.flatMap((source, index) => {
+                const nodes = data[`source${index}`]?.pinnedItems?.nodes || [];
+                return nodes
+                    .filter(node => node && node.name)
+                    .map(node => ({
+                        ...this.normalizeGraphQLRepo(node),
+                        source: { type: source.type, name: source.name }
+                    }));
+            }));
+
+            this.writeCache(cacheKey, pinned);
+            return pinned;
+
+        } catch (error) {
+            return this.serveStale(cacheKey, cached, error);
+        }
+    }
+
+    /**
+     * Convert a GraphQL Repository node to the REST repository shape
+     */
+    normalizeGraphQLRepo(node) {
+        return {
+            name: node.name,
+            full_name: node.nameWithOwner,
+            description: node.description,
+            html_url: node.url,
+            homepage: node.homepageUrl,
+            owner: { login: node.owner?.login },
+            language: node.primaryLanguage?.name || null,
+            stargazers_count: node.stargazerCount,
+            forks_count: node.forkCount,
+            watchers_count: node.watchers?.totalCount || 0,
+            open_issues_count: node.issues?.totalCount || 0,
+            fork: node.isFork,
+            archived: node.isArchived,
+            is_template: node.isTemplate,
+            parent: node.parent
+                ? { full_name: node.parent.nameWithOwner, html_url: node.parent.url }
+                : null,
+            created_at: node.createdAt,
+            updated_at: node.updatedAt,
+            pushed_at: node.pushedAt,
+            size: node.diskUsage,
+            license: node.licenseInfo
+                ? { spdx_id: node.licenseInfo.spdxId, name: node.licenseInfo.name }
+                : null,
+            topics: (node.repositoryTopics?.nodes || []).map(item => item.topic.name),
+            // Same shape as GET /repos/{owner}/{repo}/languages
+            languages: Object.fromEntries(
+                (node.languages?.edges || []).map(edge => [edge.node.name, edge.size])
+            ),
+            latest_release: node.latestRelease
+                ? {
+                    name: node.latestRelease.name,
+                    tag_name: node.latestRelease.tagName,
+                    html_url: node.latestRelease.url,
+                    published_at: node.latestRelease.publishedAt
+                }
+                : null,
+            pinned: true
+        };
+    }
+
+    /**
+     * Run a GraphQL query with the configured token
+     */
+    async graphql(query, variables, errorMessage, { signal } = {}) {
+        const { data } = await this.request(this.graphqlURL, errorMessage, {
+            method: 'POST',
+            resource: 'graphql',
+            headers: {
+                'Authorization': `bearer ${this.config.graphql.token}`,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify({ query, variables }),
+            signal
+        });
+
+        if (data.errors?.length) {
+            throw new Error(`${errorMessage}: ${data.errors.map(error => error.message).join('; ')}`);
+        }
+
+        return data.data;
+    }
+
+    /**
+     * Fetch the language breakdown of a repository ({ language: bytes })
+     */
+    async fetchLanguages(repo, { signal } = {}) {
+        // Pinned repositories from GraphQL already include it
+        if (repo.languages) {
+            return repo.languages;
+        }
+
+        return this.fetchRepoResource(this.CACHE_KEYS.LANGUAGES, repo, '/languages', 'languages', { signal });
+    }
+
+    /**
+     * Fetch the README of a repository as decoded markdown
+     * The html_url and download_url of the file are kept so relative
+     * links and images can be resolved against it
+     */
+    async fetchReadme(repo, { signal } = {}) {
+        return this.fetchRepoResource(this.CACHE_KEYS.READMES, repo, '/readme', 'README', {
+            // Whole READMEs would soon fill localStorage, which is rewritten on every cache write
+            persist: false,
+            transform: (readme) => ({
+                markdown: this.decodeBase64(readme.content),
+                path: readme.path,
+                html_url: readme.html_url,
+                download_url: readme.download_url
+            }),
+            signal
+        });
+    }
+
+    /**
+     * Fetch weekly commit totals of a repository for the last 52 weeks
+     * GitHub answers 202 Accepted while it computes statistics for the first
+     * time, so the request is polled again with a growing delay
+     * Resolves to { weeks: [total, ...], start: unix timestamp of the first week }
+     */
+    async fetchCommitActivity(repo, { signal } = {}) {
+        for (let attempt = 0; ; attempt++) {
+            try {
+                return await this.fetchRepoResource(
+                    this.CACHE_KEYS.COMMIT_ACTIVITY,
+                    repo,
+                    '/stats/commit_activity',
+                    'commit activity',
+                    {
+                        transform: (weeks) => ({
+                            // Empty repositories have no statistics (204 No Content)
+                            weeks: Array.isArray(weeks) ? weeks.map(week => week.total) : [],
+                            start: Array.isArray(weeks) ? weeks[0]?.week ?? null : null
+                        }),
+                        signal
+                    }
+                );
+            } catch (error) {
+                if (!error.computing || attempt >= this.statsRetries) {
+                    throw error;
+                }
+
+                await this.delay(this.statsRetryDelay * Math.pow(2, attempt), signal);
+
+                if (signal?.aborted) {
+                    throw this.createAbortError(`Failed to fetch commit activity for ${repo.name}`);
+                }
+            }
+        }
+    }
+
+    /**
+     * Fetch the repository a fork was made from
+     * Resolves to { full_name, html_url }, or null for repositories that aren't forks.
+     * Repository lists leave the parent out, so it comes from the repository itself.
+     */
+    async fetchForkParent(repo, { signal } = {}) {
+        if (!repo.fork) return null;
+
+        // Pinned repositories from GraphQL already include it
+        if (repo.parent !== undefined) {
+            return repo.parent;
+        }
+
+        return this.fetchRepoResource(this.CACHE_KEYS.PARENTS, repo, '', 'fork parent', {
+            transform: (details) => details.parent
+                ? { full_name: details.parent.full_name, html_url: details.parent.html_url }
+                : null,
+            signal
+        });
+    }
+
+    /**
+     * Fetch the latest release of a repository, falling back to its newest tag
+     * Resolves to { type: 'release' | 'tag', name, tag_name, html_url, published_at }
+     * or null when the repository has neither; tags carry no publish date
+     */
+    async fetchLatestRelease(repo, { signal } = {}) {
+        // Pinned repositories from GraphQL already include it
+        if (repo.latest_release) {
+            return { type: 'release', ...repo.latest_release, name: repo.latest_release.name || repo.latest_release.tag_name };
+        }
+
+        const fullName = repo.full_name || `${this.username}/${repo.name}`;
+
+        // GraphQL reports "no release" as null, so skip straight to the tags
+        if (repo.latest_release !== null) {
+            const release = await this.fetchRepoResource(
+                this.CACHE_KEYS.RELEASES,
+                repo,
+                '/releases/latest',
+                'latest release',
+                {
+                    transform: (release) => ({
+                        type: 'release',
+                        name: release.name || release.tag_name,
+                        tag_name: release.tag_name,
+                        html_url: release.html_url,
+                        published_at: release.published_at
+                    }),
+                    optional: true,
+                    signal
+                }
+            );
+
+            if (release) return release;
+        }
+
+        return this.fetchRepoResource(
+            this.CACHE_KEYS.TAGS,
+            repo,
+            '/tags?per_page=1',
+            'tags',
+            {
+                transform: (tags) => tags[0] ? {
+                    type: 'tag',
+                    name: tags[0].name,
+                    tag_name: tags[0].name,
+                    html_url: `https://github.com/${fullName}/releases/tag/${encodeURIComponent(tags[0].name)}`,
+                    published_at: null
+                } : null,
+                optional: true,
+                signal
+            }
+        );
+    }
+
+    /**
+     * Decode base64 file contents returned by the contents API as UTF-8
+     */
+    decodeBase64(content = '') {
+        const binary = atob(content.replace(/\s/g, ''));
+        const bytes = Uint8Array.from(binary, char => char.charCodeAt(0));
+        return new TextDecoder().decode(bytes);
+    }
+
+    /**
+     * Fetch a per-repository resource with conditional revalidation
+     * All repositories' copies share one cache entry so large accounts
+     * don't push the repository lists out of the cache's entry limit
+     * transform(data) trims fresh responses down to what is worth caching
+     * optional resources resolve (and cache) null when GitHub answers 404
+     * persist: false keeps the collection in memory instead of the CacheManager
+     */
+    async fetchRepoResource(cacheKey, repo, path, label, { transform = data => data, optional = false, persist = true, signal } = {}) {
+        const fullName = repo.full_name || `${this.username}/${repo.name}`;
+        const cached = persist
+            ? this.getRepoResources(cacheKey)[fullName] || null
+            : this.memoryResources.get(cacheKey)?.get(fullName) || null;
+        const store = (item) => persist
+            ? this.storeRepoResource(cacheKey, fullName, item)
+            : this.storeMemoryResource(cacheKey, fullName, item);
+
+        if (cached && Date.now() < cached.expiry) {
+            return cached.data;
+        }
+
+        try {
+            const response = await this.request(
+                `${this.baseURL}/repos/${fullName}${path}`,
+                `Failed to fetch ${label} for ${fullName}`,
+                { validators: cached?.validators, signal }
+            );
+
+            // Statistics endpoints answer 202 until GitHub has computed them
+            if (response.status === 202) {
+                const error = new Error(`${label} for ${fullName} is still being computed`);
+                error.computing = true;
+                throw error;
+            }
+
+            const item = response.notModified
+                ? { ...cached, expiry: Date.now() + this.resourceExpiry }
+                : {
+                    data: transform(response.data),
+                    validators: response.validators,
+                    expiry: Date.now() + this.resourceExpiry
+                };
+
+            store(item);
+            return item.data;
+
+        } catch (error) {
+            // Outdated details beat none while rate limited or still computing
+            if ((error.rateLimited || error.computing) && cached) {
+                return cached.data;
+            }
+
+            // Remember missing optional resources so they aren't requested again
+            if (optional && error.status === 404) {
+                store({
+                    data: null,
+                    validators: null,
+                    expiry: Date.now() + this.resourceExpiry
+                });
+                return null;
+            }
             throw error;
         }
     }
 
     /**
-     * Process repositories for featured section
+     * Get a per-repository cache collection, reading it from the cache the first time
+     */
+    getRepoResources(cacheKey) {
+        if (!this.repoResources.has(cacheKey)) {
+            this.repoResources.set(cacheKey, this.readCache(cacheKey) || {});
+        }
+        return this.repoResources.get(cacheKey);
+    }
+
+    /**
+     * Store one repository's entry in a per-repository cache collection
+     * The collection is persisted by flushRepoResources once fetches settle
+     */
+    storeRepoResource(cacheKey, fullName, item) {
+        this.getRepoResources(cacheKey)[fullName] = item;
+        this.dirtyRepoResources.add(cacheKey);
+
+        clearTimeout(this.repoResourceFlushTimer);
+        this.repoResourceFlushTimer = setTimeout(this.flushRepoResources, this.repoResourceFlushDelay);
+    }
+
+    /**
+     * Write changed per-repository collections to the cache
+     * Entries that expired longer ago than stale data is kept are dropped, so
+     * repositories that are gone (or filtered out) don't stay in storage forever
+     */
+    flushRepoResources() {
+        clearTimeout(this.repoResourceFlushTimer);
+        this.repoResourceFlushTimer = null;
+
+        if (!this.cacheManager) return;
+
+        const staleDataExpiry = this.cacheManager.config.staleDataExpiry;
+        const oldest = Date.now() - staleDataExpiry;
+
+        this.dirtyRepoResources.forEach(cacheKey => {
+            const collection = this.getRepoResources(cacheKey);
+            for (const [fullName, item] of Object.entries(collection)) {
+                if (item.expiry < oldest) {
+                    delete collection[fullName];
+                }
+            }
+            this.writeCache(cacheKey, collection, staleDataExpiry);
+        });
+        this.dirtyRepoResources.clear();
+    }
+
+    /**
+     * Store one repository's entry in an in-memory collection
+     * The least recently stored entries go once the collection is full
+     */
+    storeMemoryResource(cacheKey, fullName, item) {
+        if (!this.memoryResources.has(cacheKey)) {
+            this.memoryResources.set(cacheKey, new Map());
+        }
+
+        const collection = this.memoryResources.get(cacheKey);
+        collection.delete(fullName);
+        collection.set(fullName, item);
+
+        while (collection.size > this.maxMemoryResources) {
+            collection.delete(collection.keys().next().value);
+        }
+    }
+
+    /**
+     * Process repositories for featured section using the configured selection rules
      */
     processFeaturedRepos(repos) {
-        return repos
-            .filter(repo => repo.description && repo.description.trim() !== '')
-            .sort((a, b) => {
-                // Sort by updated date, then by stars
-                const dateCompare = new Date(b.updated_at) - new Date(a.updated_at);
-                if (dateCompare !== 0) return dateCompare;
-                return (b.stargazers_count || 0) - (a.stargazers_count || 0);
-            })
-            .slice(0, 5);
+        return selectFeaturedRepos(repos, this.config.featured);
+    }
+
+    /**
+     * Get the number of featured repositories to show
+     */
+    getMaxFeatured() {
+        return this.config.featured?.max ?? DEFAULT_FEATURED_RULES.max;
+    }
+
+    /**
+     * Fetch every page of a paginated endpoint by following Link: rel="next" headers
+     * onPage(pageItems, itemsSoFar, done) is called after each page
+     * When a stale cache entry is given, each page is revalidated against its own
+     * validators and unchanged pages are sliced back out of the cached data
+     */
+    async fetchAllPages(url, errorMessage, cached = null, onPage = null, { signal } = {}) {
+        const cachedPages = cached?.meta?.pages || [];
+        const items = [];
+        const pages = [];
+        let changed = false;
+        let nextUrl = url;
+        let page = 0;
+
+        while (nextUrl && page < this.maxPages) {
+            const cachedPage = cachedPages[page]?.url === nextUrl ? cachedPages[page] : null;
+            const response = await this.request(nextUrl, errorMessage, {
+                validators: cachedPage,
+                signal
+            });
+
+            let data;
+            let followingUrl;
+
+            if (response.notModified) {
+                const offset = cachedPages
+                    .slice(0, page)
+                    .reduce((total, p) => total + p.count, 0);
+                data = cached.data.slice(offset, offset + cachedPage.count);
+                followingUrl = cachedPages[page + 1]?.url || null;
+                pages.push(cachedPage);
+            } else {
+                data = response.data;
+                followingUrl = this.getNextPageUrl(response.headers.get('Link'));
+                pages.push({ url: nextUrl, count: data.length, ...response.validators });
+                changed = true;
+            }
+
+            page++;
+            items.push(...data);
+            nextUrl = followingUrl;
+
+            if (onPage) {
+                onPage(data, [...items], !nextUrl || page >= this.maxPages);
+            }
+        }
+
+        if (nextUrl) {
+            console.warn(`⚠️ Stopped after ${this.maxPages} pages: ${errorMessage}`);
+        }
+
+        return {
+            items,
+            pages,
+            notModified: !changed && pages.length === cachedPages.length
+        };
+    }
+
+    /**
+     * Extract the rel="next" URL from a Link header
+     */
+    getNextPageUrl(linkHeader) {
+        if (!linkHeader) {
+            return null;
+        }
+
+        for (const part of linkHeader.split(',')) {
+            const match = part.trim().match(/^<([^>]+)>;\s*rel="([^"]+)"/);
+            if (match && match[2].split(' ').includes('next')) {
+                return match[1];
+            }
+        }
+
+        return null;
     }
 
     /**
      * Fetch with retry logic
      */
-    async fetchWithRetry(url, errorMessage, retries = 0) {
+    async fetchWithRetry(url, errorMessage, { signal } = {}) {
+        const { data } = await this.request(url, errorMessage, { signal });
+        return data;
+    }
+
+    /**
+     * Perform a request with timeout and retry logic
+     * Sends conditional headers when validators are given; a 304 resolves
+     * with notModified: true instead of a body
+     *
+     * Options: validators, method, headers, body, signal, and resource - the
+     * rate limit bucket the request counts against ('core' unless it's e.g. GraphQL)
+     *
+     * Concurrent GET requests for the same URL share one network request.
+     * Aborting a caller's signal rejects only that caller; the shared request
+     * is cancelled once every caller waiting on it has aborted.
+     */
+    request(url, errorMessage, options = {}) {
+        const { signal, ...requestOptions } = options;
+
+        if (signal?.aborted) {
+            return Promise.reject(this.createAbortError(errorMessage));
+        }
+
+        const key = this.getRequestKey(url, requestOptions);
+        let pending = key ? this.inFlight.get(key) : null;
+
+        if (!pending) {
+            const controller = new AbortController();
+            pending = { controller, waiting: 0 };
+            pending.promise = this.performRequest(url, errorMessage, {
+                ...requestOptions,
+                signal: controller.signal
+            }).finally(() => {
+                if (this.inFlight.get(key) === pending) {
+                    this.inFlight.delete(key);
+                }
+            });
+
+            if (key) {
+                this.inFlight.set(key, pending);
+            }
+        }
+
+        return this.waitForRequest(pending, signal, errorMessage);
+    }
+
+    /**
+     * Get the key under which a request is shared, or null if it can't be
+     * Requests with different validators get different responses (200 vs 304)
+     */
+    getRequestKey(url, options) {
+        if ((options.method || 'GET') !== 'GET' || options.body) {
+            return null;
+        }
+
+        const validator = options.validators?.etag || options.validators?.lastModified || '';
+        return `${url} ${validator}`;
+    }
+
+    /**
+     * Wait for a (possibly shared) pending request on behalf of one caller
+     */
+    waitForRequest(pending, signal, errorMessage) {
+        pending.waiting++;
+
+        if (!signal) {
+            return pending.promise;
+        }
+
+        return new Promise((resolve, reject) => {
+            const handleAbort = () => {
+                pending.waiting--;
+                if (pending.waiting === 0) {
+                    pending.controller.abort();
+                }
+                reject(this.createAbortError(errorMessage));
+            };
+
+            signal.addEventListener('abort', handleAbort, { once: true });
+
+            pending.promise
+                .then(resolve, reject)
+                .finally(() => signal.removeEventListener('abort', handleAbort));
+        });
+    }
+
+    /**
+     * Run a request, retrying failures with exponential backoff
+     */
+    async performRequest(url, errorMessage, options = {}, retries = 0) {
+        const tracksCoreLimit = (options.resource || 'core') === 'core';
+
+        // Don't spend calls that are guaranteed to fail until the quota resets
+        if (tracksCoreLimit && this.isRateLimited()) {
+            throw this.createRateLimitError(errorMessage);
+        }
+
         const controller = new AbortController();
         const timeoutId = setTimeout(() => controller.abort(), 10000);
+        const cancel = () => controller.abort();
+        options.signal?.addEventListener('abort', cancel, { once: true });
+        const headers = {
+            'Accept': 'application/vnd.github.v3+json',
+            'User-Agent': `Portfolio-App/${this.username}`,
+            ...this.config.headers,
+            ...options.headers
+        };
+
+        if (options.validators?.etag) {
+            headers['If-None-Match'] = options.validators.etag;
+        } else if (options.validators?.lastModified) {
+            headers['If-Modified-Since'] = options.validators.lastModified;
+        }
         
         try {
             const response = await fetch(url, {
-                headers: {
-                    'Accept': 'application/vnd.github.v3+json',
-                    'User-Agent': `Portfolio-App/${this.username}`
-                },
+                method: options.method || 'GET',
+                headers,
+                body: options.body,
                 signal: controller.signal
             });
 
             clearTimeout(timeoutId);
+            options.signal?.removeEventListener('abort', cancel);
+
+            if (tracksCoreLimit) {
+                this.updateRateLimit(response.headers);
+            }
+
+            if (response.status === 304) {
+                return {
+                    data: null,
+                    status: response.status,
+                    headers: response.headers,
+                    validators: options.validators,
+                    notModified: true
+                };
+            }
+
+            if (tracksCoreLimit && this.isRateLimitResponse(response)) {
+                this.markRateLimited(response.headers);
+                throw this.createRateLimitError(errorMessage);
+            }
 
             if (!response.ok) {
-                throw new Error(`HTTP ${response.status}: ${response.statusText}`);
+                const httpError = new Error(`HTTP ${response.status}: ${response.statusText}`);
+                httpError.status = response.status;
+                throw httpError;
             }
 
-            return await response.json();
+            return {
+                data: response.status === 204 ? null : await response.json(),
+                status: response.status,
+                headers: response.headers,
+                validators: this.getValidators(response.headers),
+                notModified: false
+            };
 
         } catch (error) {
             clearTimeout(timeoutId);
-            
+            options.signal?.removeEventListener('abort', cancel);
+
+            if (options.signal?.aborted) {
+                throw this.createAbortError(errorMessage);
+            }
+
             if (error.name === 'AbortError') {
                 throw new Error(`${errorMessage}: Request timeout`);
             }
-            
-            if (retries < this.maxRetries) {
+
+            // Retrying a rate-limited request only burns the remaining calls
+            if (error.rateLimited) {
+                throw error;
+            }
+
+            // Client errors such as a missing README won't change on retry
+            const isClientError = error.status >= 400 && error.status < 500;
+
+            if (!isClientError && retries < this.maxRetries) {
                 console.warn(`🔄 Retrying (${retries + 1}/${this.maxRetries}): ${errorMessage}`);
                 
                 // Exponential backoff
-                await this.delay(this.retryDelay * Math.pow(2, retries));
+                await this.delay(this.retryDelay * Math.pow(2, retries), options.signal);
+
+                if (options.signal?.aborted) {
+                    throw this.createAbortError(errorMessage);
+                }
                 
-                return this.fetchWithRetry(url, errorMessage, retries + 1);
+                return this.performRequest(url, errorMessage, options, retries + 1);
             }
             
-            throw new Error(`${errorMessage}: ${error.message}`);
+            const requestError = new Error(`${errorMessage}: ${error.message}`);
+            requestError.status = error.status;
+            throw requestError;
+        }
+    }
+
+    /**
+     * Record rate limit headers from a response
+     * A successful response can spend the last call, so running out is announced here
+     * too; later calls are refused from this state without reaching GitHub
+     */
+    updateRateLimit(headers) {
+        const remaining = headers.get('X-RateLimit-Remaining');
+        if (remaining === null) {
+            return;
+        }
+
+        const wasLimited = this.isRateLimited();
+        this.rateLimit = {
+            limit: Number(headers.get('X-RateLimit-Limit')),
+            remaining: Number(remaining),
+            reset: Number(headers.get('X-RateLimit-Reset')) * 1000
+        };
+
+        if (!wasLimited && this.isRateLimited()) {
+            this.eventManager.emit('rateLimit', this.getRateLimitStatus());
+        }
+    }
+
+    /**
+     * Check whether a response was rejected by the primary or secondary rate limit
+     */
+    isRateLimitResponse(response) {
+        if (response.status !== 403 && response.status !== 429) {
+            return false;
+        }
+
+        return response.headers.get('X-RateLimit-Remaining') === '0' ||
+               response.headers.has('Retry-After');
+    }
+
+    /**
+     * Stop making calls until the rate limit resets
+     */
+    markRateLimited(headers) {
+        const retryAfter = Number(headers.get('Retry-After'));
+        // updateRateLimit has already announced a primary limit reached by this response
+        const announced = this.isRateLimited() && !(retryAfter > 0);
+
+        if (retryAfter > 0) {
+            // Secondary rate limits only tell us how long to wait
+            this.rateLimit = {
+                ...this.rateLimit,
+                remaining: 0,
+                reset: Date.now() + retryAfter * 1000
+            };
         }
+
+        if (!announced) {
+            this.eventManager.emit('rateLimit', this.getRateLimitStatus());
+        }
+    }
+
+    /**
+     * Check if calls are currently blocked by the rate limit
+     */
+    isRateLimited() {
+        return this.rateLimit.remaining === 0 && Date.now() < this.rateLimit.reset;
+    }
+
+    /**
+     * Get the current rate limit status
+     */
+    getRateLimitStatus() {
+        return {
+            limited: this.isRateLimited(),
+            limit: this.rateLimit.limit,
+            remaining: this.rateLimit.remaining,
+            resetAt: this.rateLimit.reset ? new Date(this.rateLimit.reset) : null
+        };
+    }
+
+    /**
+     * Create an error for requests blocked by the rate limit
+     */
+    createRateLimitError(errorMessage) {
+        const resetAt = new Date(this.rateLimit.reset);
+        const error = new Error(`${errorMessage}: API rate limit exceeded until ${resetAt.toLocaleTimeString()}`);
+        error.rateLimited = true;
+        error.resetAt = resetAt;
+        return error;
+    }
+
+    /**
+     * Create an error for requests cancelled through an AbortSignal
+     */
+    createAbortError(errorMessage) {
+        const error = new Error(`${errorMessage}: Request aborted`);
+        error.name = 'AbortError';
+        error.aborted = true;
+        return error;
+    }
+
+    /**
+     * Extract cache validators from response headers
+     */
+    getValidators(headers) {
+        return {
+            etag: headers.get('ETag'),
+            lastModified: headers.get('Last-Modified')
+        };
     }
 
     /**
      * Search repositories
      */
-    async searchRepos(query, language = null) {
+    async searchRepos(query, language = null, { signal } = {}) {
         try {
-            let url = `${this.baseURL}/search/repositories?q=${encodeURIComponent(query)}+user:${this.username}`;
+            const owners = this.sources.map(source => `user:${source.name}`).join('+');
+            let url = `${this.baseURL}/search/repositories?q=${encodeURIComponent(query)}+${owners}`;
             
             if (language) {
                 url += `+language:${encodeURIComponent(language)}`;
@@ -186,7 +1432,7 @@ export class GitHubAPI {
             
             url += '&sort=updated&order=desc';
             
-            const data = await this.fetchWithRetry(url, `Failed to search repositories`);
+            const data = await this.fetchWithRetry(url, `Failed to search repositories`, { signal });
             
             return data.items || [];
 
@@ -199,34 +1445,22 @@ export class GitHubAPI {
     /**
      * Get user profile information
      */
-    async getUserProfile() {
+    async getUserProfile({ signal } = {}) {
         const cacheKey = 'github-user-profile';
         
         try {
-            // Try to get from cache first
-            let cachedData;
-            try {
-                cachedData = this.cacheManager.get(cacheKey);
-            } catch (cacheError) {
-                // Corrupted cache data - clear and continue to fetch
-                this.cacheManager.delete(cacheKey);
-                cachedData = null;
-            }
-            
-            if (cachedData && !this.cacheManager.isExpired(cacheKey)) {
-                return cachedData;
-            }
-
             const url = `${this.baseURL}/users/${this.username}`;
-            const profile = await this.fetchWithRetry(
-                url, 
-                'Failed to fetch user profile'
-            );
 
             // Cache for longer time
-            this.cacheManager.set(cacheKey, profile, 30 * 60 * 1000); // 30 minutes
-            
-            return profile;
+            return await this.fetchConditional(
+                cacheKey,
+                url,
+                'Failed to fetch user profile',
+                {
+                    ttl: 30 * 60 * 1000, // 30 minutes
+                    signal
+                }
+            );
 
         } catch (error) {
             console.error('❌ Error fetching user profile:', error);
@@ -235,25 +1469,56 @@ export class GitHubAPI {
     }
 
     /**
-     * Helper function for delays
+     * Helper function for delays (ends early when the signal aborts)
      */
-    delay(ms) {
-        return new Promise(resolve => setTimeout(resolve, ms));
+    delay(ms, signal = null) {
+        return new Promise(resolve => {
+            const onAbort = () => {
+                clearTimeout(timeoutId);
+                resolve();
+            };
+            // Don't leave a listener on a long-lived signal for every retry
+            const timeoutId = setTimeout(() => {
+                signal?.removeEventListener('abort', onAbort);
+                resolve();
+            }, ms);
+            signal?.addEventListener('abort', onAbort, { once: true });
+        });
     }
 
     /**
      * Clear all cached data
      */
     clearCache() {
+        clearTimeout(this.repoResourceFlushTimer);
+        this.repoResourceFlushTimer = null;
+        this.repoResources.clear();
+        this.dirtyRepoResources.clear();
+        this.memoryResources.clear();
+
         Object.values(this.CACHE_KEYS).forEach(key => {
             this.cacheManager.delete(key);
         });
+
+        this.sources.forEach(source => {
+            this.cacheManager.delete(this.getSourceCacheKey(source));
+            this.cacheManager.delete(this.getSourceCacheKey(source, this.CACHE_KEYS.EVENTS));
+        });
     }
 
     /**
      * Cleanup
      */
     destroy() {
+        this.flushRepoResources();
+        if (typeof window !== 'undefined') {
+            window.removeEventListener('pagehide', this.flushRepoResources);
+        }
+        this.inFlight.forEach(pending => pending.controller.abort());
+        this.inFlight.clear();
+        this.reposInFlight.forEach(pending => pending.controller.abort());
+        this.reposInFlight.clear();
+        this.eventManager.removeAllListeners();
         this.cacheManager = null;
         this.initialized = false;
     }
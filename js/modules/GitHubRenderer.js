@@ -5,42 +5,166 @@
  */
 
 import { EventManager } from './EventManager.js';
+import { getLanguageColor } from './LanguageColors.js';
+import { createSearchIndex, searchRepos, suggestQueries } from './RepoSearch.js';
+import { RelativeTime } from './RelativeTime.js';
+
+// Ways the projects section can be shown; persisted as the repoView preference
+const VIEW_MODES = ['grid', 'list', 'table'];
+
+// Columns of the table view; numeric columns sort largest first on the first click
+const TABLE_COLUMNS = [
+    { key: 'name', label: 'Name', numeric: false },
+    { key: 'language', label: 'Language', numeric: false },
+    { key: 'stars', label: 'Stars', numeric: true },
+    { key: 'forks', label: 'Forks', numeric: true },
+    { key: 'updated', label: 'Updated', numeric: true }
+];
+
+// Grid sort options (the repo-sort select); direction is where each starts when picked
+const SORT_FIELDS = {
+    name: { label: 'name', direction: 'ascending', value: repo => repo.name },
+    updated: { label: 'last update', direction: 'descending', value: repo => toTime(repo.updated_at) },
+    pushed: { label: 'last push', direction: 'descending', value: repo => toTime(repo.pushed_at) },
+    created: { label: 'creation date', direction: 'descending', value: repo => toTime(repo.created_at) },
+    stars: { label: 'stars', direction: 'descending', value: repo => repo.stargazers_count || 0 },
+    forks: { label: 'forks', direction: 'descending', value: repo => repo.forks_count || 0 },
+    // The REST list's watchers_count mirrors stars; subscribers_count is the real number when present
+    watchers: { label: 'watchers', direction: 'descending', value: repo => repo.subscribers_count ?? repo.watchers_count ?? 0 },
+    issues: { label: 'open issues', direction: 'descending', value: repo => repo.open_issues_count || 0 },
+    size: { label: 'size', direction: 'descending', value: repo => repo.size || 0 }
+};
+
+/**
+ * Milliseconds since the epoch, or 0 for a missing date
+ */
+function toTime(value) {
+    return value ? new Date(value).getTime() || 0 : 0;
+}
 
 /**
  * GitHubRenderer - Handles all repository display logic
  */
 export class GitHubRenderer {
-    constructor(options = {}) {
+    constructor({ gitHubAPI = null, lazyLoader = null, readmePreview = null, repoComparison = null, mobileNavigation = null, preferenceManager = null, relativeTime = null, ...options } = {}) {
+        this.gitHubAPI = gitHubAPI;
+        this.lazyLoader = lazyLoader;
+        this.readmePreview = readmePreview;
+        this.repoComparison = repoComparison;
+        this.mobileNavigation = mobileNavigation;
+        this.preferenceManager = preferenceManager;
+        // Without the shared instance times are still shown, just in English and not refreshed
+        this.relativeTime = relativeTime || new RelativeTime();
         this.featuredRepos = [];
         this.currentFeaturedIndex = 0;
         this.allRepos = [];
         this.reposWithDesc = [];
         this.reposWithoutDesc = [];
         this.options = {
-            maxFeaturedRepos: 5,
+            maxFeaturedRepos: 5, // app.js passes GITHUB_CONFIG.featured.max
+            featuredAutoplay: false,
+            featuredInterval: 6000, // ms per slide while autoplaying
             initialReposToShow: 6,
+            pageSize: 24, // Cards appended each time the end of the grid scrolls into view
+            sectionId: 'github-repos-section',
             containerId: 'github-repos',
             featuredContainerId: 'featured-container',
             featuredProjectId: 'featured-project',
             loadingSpinnerId: 'loading-spinner',
             featuredSpinnerId: 'featured-loading-spinner',
             noReposMessageId: 'no-repos-message',
+            searchSuggestionsId: 'repo-search-suggestions',
+            statusNoticeId: 'repo-status-notice',
             filterInputId: 'repo-filter',
             sortSelectId: 'repo-sort',
+            sortDirectionId: 'repo-sort-direction',
+            sortStatusId: 'repo-sort-status',
             languageFilterId: 'language-filter',
+            topicFilterGroupId: 'topic-filter-group',
+            topicFilterId: 'topic-filter',
+            topicOptionsId: 'topic-filter-options',
+            topicMatchId: 'topic-match',
+            kindFilterGroupId: 'repo-kind-filter',
+            hideForksId: 'hide-forks',
+            hideArchivedId: 'hide-archived',
+            favoritesGroupId: 'favorites-filter',
+            favoritesOnlyId: 'favorites-only',
+            favoritesFirstId: 'favorites-first',
+            favoritesStatusId: 'favorites-status',
+            exportPreferencesId: 'export-preferences',
+            importPreferencesId: 'import-preferences',
+            importFileId: 'import-preferences-file',
+            maxTopicChips: 5,
+            viewSwitcherId: 'repo-view-switcher',
+            tableContainerId: 'repo-table',
             ...options
         };
         this.currentLanguageFilter = '';
+        this.currentTopicFilters = new Set();
+        this.topicMatchMode = 'any'; // 'any' (OR) or 'all' (AND)
+        // Originals only by default - forks would pass other people's work off as the owner's
+        this.hideForks = true;
+        this.hideArchived = true;
+        // Keys (see getRepoKey) of the visitor's favorites, kept in the favoriteRepos preference
+        this.favorites = new Set();
+        this.showFavoritesOnly = false;
+        this.favoritesFirst = false;
+        this.defaultSort = '';
+        this.sortDirection = 'ascending'; // 'ascending' or 'descending'
+        this.lastSyncedParams = null; // Filter parameters the grid currently reflects
         this.filteredRepos = [];
+        this.searchIndex = null;
+        this.searchResults = null; // repo -> { score, highlights } for the current query
+        this.showOwner = false;
         this.eventManager = new EventManager();
+        this.initialized = false;
+
+        // Card nodes by repo key, reused across filter changes (see getRepoCard)
+        this.cardCache = new Map();
+        this.visibleRepos = [];
+        this.renderedCount = 0;
+        this.sentinel = null;
+        this.includeReposWithoutDesc = false;
+
+        // 'grid', 'list' or 'table'; the table keeps its own column sort
+        this.viewMode = 'grid';
+        this.tableSort = { key: '', direction: 'ascending' }; // No key: same order as the grid
+
+        // Release lookup for the featured slide on screen
+        this.featuredRequests = new AbortController();
+
+        // Carousel rotation: enabled is the visitor's choice, paused is hover/focus
+        this.autoplay = { enabled: false, paused: false, timer: null };
+        this.removeFeaturedSwipe = null;
+        this.handleReducedMotion = this.handleReducedMotion.bind(this);
+        this.handleCarouselPointerEnter = this.handleCarouselPointerEnter.bind(this);
+        this.handleCarouselPointerLeave = this.handleCarouselPointerLeave.bind(this);
+        this.handleCarouselFocusIn = this.handleCarouselFocusIn.bind(this);
+        this.handleCarouselFocusOut = this.handleCarouselFocusOut.bind(this);
+        this.handleUrlStateChange = this.handleUrlStateChange.bind(this);
+        this.handleViewModeChange = this.handleViewModeChange.bind(this);
+        this.handleComparisonChange = this.handleComparisonChange.bind(this);
+        this.handleFavoritesChange = this.handleFavoritesChange.bind(this);
+        this.handleFavoritesFirstChange = this.handleFavoritesFirstChange.bind(this);
     }
 
     /**
      * Initialize the renderer
      */
     initialize() {
+        if (this.initialized) return this;
+
         this.setupFilterAndSort();
         this.setupLanguageFilter();
+        this.setupTopicFilter();
+        this.setupKindFilter();
+        this.setupFavorites();
+        this.setupFeaturedCarousel();
+        this.setupViewSwitcher();
+        this.repoComparison?.eventManager.on('change', this.handleComparisonChange);
+        this.restoreUrlState();
+        window.addEventListener('popstate', this.handleUrlStateChange);
+        this.initialized = true;
         return this;
     }
 
@@ -64,10 +188,12 @@ export class GitHubRenderer {
         const select = document.getElementById(this.options.languageFilterId);
         if (!select || this.allRepos.length === 0) return;
 
-        // Get unique languages from all repos
-        const languages = [...new Set(this.allRepos
-            .map(r => r.language)
-            .filter(Boolean))]
+        // Get unique languages from all repos, plus a selection restored from the URL
+        // that later pages may still provide
+        const languages = [...new Set([
+            ...this.allRepos.map(r => r.language),
+            this.currentLanguageFilter
+        ].filter(Boolean))]
             .sort();
 
         // Clear existing options except "All Languages"
@@ -82,35 +208,530 @@ export class GitHubRenderer {
             option.textContent = lang;
             select.appendChild(option);
         });
+
+        // Keep the current selection when repopulating (e.g. as more pages load)
+        if (languages.includes(this.currentLanguageFilter)) {
+            select.value = this.currentLanguageFilter;
+        }
+    }
+
+    /**
+     * Setup topic filter checkboxes and the any/all match select
+     */
+    setupTopicFilter() {
+        const optionsContainer = document.getElementById(this.options.topicOptionsId);
+        const matchSelect = document.getElementById(this.options.topicMatchId);
+
+        if (optionsContainer) {
+            optionsContainer.addEventListener('change', (e) => {
+                if (e.target.type !== 'checkbox') return;
+                this.setTopicFilter(e.target.value, e.target.checked);
+            });
+        }
+
+        if (matchSelect) {
+            matchSelect.addEventListener('change', (e) => {
+                this.topicMatchMode = e.target.value === 'all' ? 'all' : 'any';
+                if (this.currentTopicFilters.size > 0) {
+                    this.applyFilters();
+                }
+            });
+        }
+    }
+
+    /**
+     * Populate topic filter options dynamically
+     */
+    populateTopicFilter() {
+        const group = document.getElementById(this.options.topicFilterGroupId);
+        const optionsContainer = document.getElementById(this.options.topicOptionsId);
+        if (!optionsContainer) return;
+
+        // Count how many repos use each topic
+        const counts = new Map();
+        this.allRepos.forEach(repo => {
+            (repo.topics || []).forEach(topic => {
+                counts.set(topic, (counts.get(topic) || 0) + 1);
+            });
+        });
+        // Keep selections (e.g. restored from the URL) that later pages may still provide
+        const topics = [...new Set([...counts.keys(), ...this.currentTopicFilters])].sort();
+
+        optionsContainer.innerHTML = '';
+        topics.forEach(topic => {
+            const label = document.createElement('label');
+            label.className = 'topic-option';
+
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.value = topic;
+            checkbox.checked = this.currentTopicFilters.has(topic);
+
+            const count = document.createElement('span');
+            count.className = 'topic-count';
+            count.textContent = `(${counts.get(topic) || 0})`;
+
+            label.appendChild(checkbox);
+            label.appendChild(document.createTextNode(' ' + topic + ' '));
+            label.appendChild(count);
+            optionsContainer.appendChild(label);
+        });
+
+        // No point offering a filter nobody can use
+        if (group) {
+            group.hidden = topics.length === 0;
+        }
+        this.updateTopicFilterSummary();
+    }
+
+    /**
+     * Select or deselect a topic and re-filter
+     */
+    setTopicFilter(topic, selected) {
+        if (selected) {
+            this.currentTopicFilters.add(topic);
+        } else {
+            this.currentTopicFilters.delete(topic);
+        }
+
+        // Keep the checkboxes in sync when toggled from a card's chip
+        const optionsContainer = document.getElementById(this.options.topicOptionsId);
+        if (optionsContainer) {
+            optionsContainer.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+                checkbox.checked = this.currentTopicFilters.has(checkbox.value);
+            });
+        }
+
+        this.updateTopicFilterSummary();
+        this.applyFilters();
+    }
+
+    /**
+     * Show how many topics are selected on the collapsed topic filter
+     */
+    updateTopicFilterSummary() {
+        const details = document.getElementById(this.options.topicFilterId);
+        const summary = details?.querySelector('summary');
+        if (!summary) return;
+
+        const count = this.currentTopicFilters.size;
+        summary.textContent = count > 0 ? `Topics (${count})` : 'Topics';
+    }
+
+    /**
+     * Setup the "Hide forks" and "Hide archived" toggles
+     */
+    setupKindFilter() {
+        const forksToggle = document.getElementById(this.options.hideForksId);
+        const archivedToggle = document.getElementById(this.options.hideArchivedId);
+
+        if (forksToggle) {
+            forksToggle.checked = this.hideForks;
+            forksToggle.addEventListener('change', (e) => {
+                this.hideForks = e.target.checked;
+                this.applyFilters();
+            });
+        }
+
+        if (archivedToggle) {
+            archivedToggle.checked = this.hideArchived;
+            archivedToggle.addEventListener('change', (e) => {
+                this.hideArchived = e.target.checked;
+                this.applyFilters();
+            });
+        }
+    }
+
+    /**
+     * Show how many forks and archived repos each toggle hides
+     * Toggles without matching repos are hidden
+     */
+    populateKindFilter() {
+        const group = document.getElementById(this.options.kindFilterGroupId);
+        const toggles = [
+            { id: this.options.hideForksId, count: this.allRepos.filter(repo => repo.fork).length },
+            { id: this.options.hideArchivedId, count: this.allRepos.filter(repo => repo.archived).length }
+        ];
+
+        toggles.forEach(({ id, count }) => {
+            const toggle = document.getElementById(id);
+            const label = toggle?.closest('label');
+            if (!label) return;
+
+            label.hidden = count === 0;
+            const countSpan = label.querySelector('.repo-kind-count');
+            if (countSpan) {
+                countSpan.textContent = `(${count})`;
+            }
+        });
+
+        if (group) {
+            group.hidden = toggles.every(({ count }) => count === 0);
+        }
+    }
+
+    /**
+     * Setup the favorites filter, the favorites-first toggle and preference import/export
+     * Favorites live in the preferences, so the group stays hidden without a PreferenceManager
+     */
+    setupFavorites() {
+        if (!this.preferenceManager) return;
+
+        const onlyToggle = document.getElementById(this.options.favoritesOnlyId);
+        if (onlyToggle) {
+            onlyToggle.checked = this.showFavoritesOnly;
+            onlyToggle.addEventListener('change', (e) => {
+                this.showFavoritesOnly = e.target.checked;
+                this.applyFilters();
+            });
+        }
+
+        const firstToggle = document.getElementById(this.options.favoritesFirstId);
+        if (firstToggle) {
+            firstToggle.addEventListener('change', (e) => {
+                this.preferenceManager.set('favoritesFirst', e.target.checked);
+            });
+        }
+
+        document.getElementById(this.options.exportPreferencesId)?.addEventListener('click', () => {
+            this.exportPreferences();
+        });
+
+        const importFile = document.getElementById(this.options.importFileId);
+        document.getElementById(this.options.importPreferencesId)?.addEventListener('click', () => {
+            importFile?.click();
+        });
+        importFile?.addEventListener('change', async () => {
+            const [file] = importFile.files;
+            importFile.value = '';
+            if (file) {
+                await this.importPreferences(file);
+            }
+        });
+
+        this.preferenceManager.on('favoriteRepos', this.handleFavoritesChange);
+        this.preferenceManager.on('favoritesFirst', this.handleFavoritesFirstChange);
+
+        const group = document.getElementById(this.options.favoritesGroupId);
+        if (group) {
+            group.hidden = false;
+        }
+    }
+
+    /**
+     * Follow the favoriteRepos preference: update card toggles, the count and the grid
+     */
+    handleFavoritesChange(favorites) {
+        this.favorites = new Set(Array.isArray(favorites) ? favorites : []);
+
+        this.cardCache.forEach((entry, key) => {
+            const button = entry.card.querySelector('.favorite-toggle');
+            if (button) {
+                this.updateFavoriteToggle(button, this.favorites.has(key));
+            }
+        });
+
+        const countSpan = document.getElementById(this.options.favoritesOnlyId)
+            ?.closest('label')
+            ?.querySelector('.repo-kind-count');
+        if (countSpan) {
+            countSpan.textContent = `(${this.favorites.size})`;
+        }
+
+        // Also needed outside the favorites views: favorites without a description are listed
+        if (this.allRepos.length > 0) {
+            this.applyFilters();
+        }
+    }
+
+    /**
+     * Follow the favoritesFirst preference
+     */
+    handleFavoritesFirstChange(enabled) {
+        this.favoritesFirst = Boolean(enabled);
+
+        const firstToggle = document.getElementById(this.options.favoritesFirstId);
+        if (firstToggle) {
+            firstToggle.checked = this.favoritesFirst;
+        }
+
+        if (this.allRepos.length > 0) {
+            this.applyFilters();
+        }
+    }
+
+    /**
+     * Whether the visitor marked a repo as a favorite
+     */
+    isFavorite(repo) {
+        return this.favorites.has(this.getRepoKey(repo));
+    }
+
+    /**
+     * Add or remove a favorite; the preference listener updates the page
+     */
+    toggleFavorite(repo) {
+        const key = this.getRepoKey(repo);
+        const favorites = this.favorites.has(key)
+            ? [...this.favorites].filter(favorite => favorite !== key)
+            : [...this.favorites, key];
+
+        this.preferenceManager.set('favoriteRepos', favorites);
+    }
+
+    /**
+     * Download all preferences, favorites included, as a JSON file
+     */
+    exportPreferences() {
+        const blob = new Blob([this.preferenceManager.export()], { type: 'application/json' });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = 'portfolio-preferences.json';
+        link.click();
+
+        // Revoked on the next tick so the download has started
+        setTimeout(() => URL.revokeObjectURL(url), 0);
+        this.setFavoritesStatus('Preferences exported.');
+    }
+
+    /**
+     * Load preferences from a file made by exportPreferences
+     * Unknown keys and invalid values are skipped by PreferenceManager.import
+     */
+    async importPreferences(file) {
+        let imported = false;
+        try {
+            imported = this.preferenceManager.import(await file.text());
+        } catch (error) {
+            console.error('❌ Failed to read preferences file:', error);
+        }
+
+        this.setFavoritesStatus(imported
+            ? `Preferences imported - ${this.favorites.size} favorite${this.favorites.size === 1 ? '' : 's'}.`
+            : 'That file could not be imported. Choose a file made with Export.');
+    }
+
+    /**
+     * Show the outcome of an import or export next to the buttons
+     */
+    setFavoritesStatus(message) {
+        const status = document.getElementById(this.options.favoritesStatusId);
+        if (status) {
+            status.textContent = message;
+        }
+    }
+
+    /**
+     * Whether a repo matches the selected topics under the current match mode
+     */
+    matchesTopicFilter(repo) {
+        if (this.currentTopicFilters.size === 0) return true;
+
+        const repoTopics = repo.topics || [];
+        const selected = [...this.currentTopicFilters];
+
+        return this.topicMatchMode === 'all'
+            ? selected.every(topic => repoTopics.includes(topic))
+            : selected.some(topic => repoTopics.includes(topic));
     }
 
     /**
-     * Apply both text filter and language filter
+     * Apply text, language and topic filters
      */
     applyFilters() {
         const filterInput = document.getElementById(this.options.filterInputId);
         const query = filterInput ? filterInput.value : '';
 
-        let repos = [...this.reposWithDesc];
+        // Favorites are listed even when they have no description
+        let repos = this.includeReposWithoutDesc
+            ? [...this.allRepos]
+            : [...this.reposWithDesc, ...this.reposWithoutDesc.filter(repo => this.isFavorite(repo))];
+
+        if (this.showFavoritesOnly) {
+            repos = repos.filter(repo => this.isFavorite(repo));
+        }
+
+        // Apply fork and archived toggles
+        if (this.hideForks) {
+            repos = repos.filter(repo => !repo.fork);
+        }
+        if (this.hideArchived) {
+            repos = repos.filter(repo => !repo.archived);
+        }
 
         // Apply language filter
         if (this.currentLanguageFilter) {
             repos = repos.filter(repo => repo.language === this.currentLanguageFilter);
         }
 
-        // Apply text filter
-        if (query) {
-            const lower = query.toLowerCase();
-            repos = repos.filter(repo =>
-                repo.name.toLowerCase().includes(lower) ||
-                (repo.description && repo.description.toLowerCase().includes(lower))
-            );
+        // Apply topic filter
+        if (this.currentTopicFilters.size > 0) {
+            repos = repos.filter(repo => this.matchesTopicFilter(repo));
         }
 
         // Apply sorting
         repos = this.sortRepos(repos);
 
+        // Apply text search; the best matches come first, the chosen sort breaks ties
+        this.searchResults = query.trim() ? searchRepos(this.searchIndex, query) : null;
+        if (this.searchResults) {
+            repos = repos
+                .filter(repo => this.searchResults.has(repo))
+                .sort((a, b) => this.searchResults.get(b).score - this.searchResults.get(a).score);
+        }
+
         this.renderRepos(repos);
+        this.syncUrlState();
+    }
+
+    /**
+     * Read filter and sort state from the page URL
+     * e.g. ?q=api&lang=Python&topics=cli,web&match=all&sort=stars&dir=asc&forks=1
+     * dir is only present when it differs from the sort's own direction;
+     * forks=1 / archived=1 show the repos hidden by default
+     */
+    readUrlState() {
+        const params = new URLSearchParams(window.location.search);
+
+        return {
+            query: params.get('q') || '',
+            language: params.get('lang') || '',
+            topics: (params.get('topics') || '').split(',').map(topic => topic.trim()).filter(Boolean),
+            topicMatch: params.get('match') === 'all' ? 'all' : 'any',
+            sort: params.get('sort') || '',
+            direction: { asc: 'ascending', desc: 'descending' }[params.get('dir')] || '',
+            showForks: params.get('forks') === '1',
+            showArchived: params.get('archived') === '1'
+        };
+    }
+
+    /**
+     * Apply the URL's filter and sort state to the controls
+     * Select options that don't exist yet are picked up when the filters are populated
+     */
+    restoreUrlState() {
+        const state = this.readUrlState();
+        this.lastSyncedParams = new URLSearchParams(window.location.search);
+
+        const filterInput = document.getElementById(this.options.filterInputId);
+        if (filterInput) {
+            filterInput.value = state.query;
+        }
+
+        this.currentLanguageFilter = state.language;
+        const languageSelect = document.getElementById(this.options.languageFilterId);
+        if (languageSelect) {
+            languageSelect.value = state.language;
+        }
+
+        this.currentTopicFilters = new Set(state.topics);
+        this.topicMatchMode = state.topicMatch;
+        const matchSelect = document.getElementById(this.options.topicMatchId);
+        if (matchSelect) {
+            matchSelect.value = state.topicMatch;
+        }
+        const optionsContainer = document.getElementById(this.options.topicOptionsId);
+        if (optionsContainer) {
+            optionsContainer.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+                checkbox.checked = this.currentTopicFilters.has(checkbox.value);
+            });
+        }
+        this.updateTopicFilterSummary();
+
+        this.hideForks = !state.showForks;
+        this.hideArchived = !state.showArchived;
+        const forksToggle = document.getElementById(this.options.hideForksId);
+        if (forksToggle) {
+            forksToggle.checked = this.hideForks;
+        }
+        const archivedToggle = document.getElementById(this.options.hideArchivedId);
+        if (archivedToggle) {
+            archivedToggle.checked = this.hideArchived;
+        }
+
+        // Without a sort in the URL the visitor's saved choice applies
+        const saved = this.preferenceManager
+            ? { sort: this.preferenceManager.get('repoSort'), direction: this.preferenceManager.get('repoSortDirection') }
+            : { sort: '', direction: '' };
+        const sort = state.sort || saved.sort;
+        const sortSelect = document.getElementById(this.options.sortSelectId);
+        if (sortSelect) {
+            const sortValues = [...sortSelect.options].map(option => option.value);
+            sortSelect.value = sortValues.includes(sort) && SORT_FIELDS[sort] ? sort : this.defaultSort;
+        }
+
+        const sortField = SORT_FIELDS[this.getSortKey()];
+        this.sortDirection = state.direction ||
+            (!state.sort && saved.sort === this.getSortKey() && saved.direction) ||
+            sortField?.direction || 'ascending';
+        this.updateSortDirectionButton();
+    }
+
+    /**
+     * Mirror the filter and sort state into the URL without adding history entries
+     * Other parameters, the hash and history.state (used by NavigationManager) are kept
+     */
+    syncUrlState() {
+        const filterInput = document.getElementById(this.options.filterInputId);
+        const sortSelect = document.getElementById(this.options.sortSelectId);
+        const query = filterInput ? filterInput.value.trim() : '';
+        const sort = sortSelect ? sortSelect.value : '';
+        const sortDirection = this.sortDirection !== SORT_FIELDS[sort]?.direction ? this.sortDirection : '';
+
+        const url = new URL(window.location.href);
+        const params = url.searchParams;
+        const setParam = (name, value) => {
+            if (value) {
+                params.set(name, value);
+            } else {
+                params.delete(name);
+            }
+        };
+
+        setParam('q', query);
+        setParam('lang', this.currentLanguageFilter);
+        setParam('topics', [...this.currentTopicFilters].join(','));
+        setParam('match', this.currentTopicFilters.size > 0 && this.topicMatchMode === 'all' ? 'all' : '');
+        // A reversed default sort still needs its key in the URL
+        setParam('sort', sort !== this.defaultSort || sortDirection ? sort : '');
+        setParam('dir', { ascending: 'asc', descending: 'desc' }[sortDirection] || '');
+        setParam('forks', this.hideForks ? '' : '1');
+        setParam('archived', this.hideArchived ? '' : '1');
+
+        // Commas are safe in a query string and keep topic lists readable
+        url.search = params.toString().replace(/%2C/gi, ',');
+
+        // Shared links should land on the grid
+        if (!url.hash && [...params.keys()].some(key => ['q', 'lang', 'topics', 'sort', 'dir', 'forks', 'archived'].includes(key))) {
+            url.hash = this.options.sectionId;
+        }
+
+        if (url.href !== window.location.href) {
+            history.replaceState(history.state, '', url.href);
+        }
+        this.lastSyncedParams = new URLSearchParams(url.search);
+    }
+
+    /**
+     * Re-apply the URL's state when history navigation lands on an entry with other filters
+     * Hash-only changes are left to NavigationManager.handlePopState
+     */
+    handleUrlStateChange() {
+        const filterParams = ['q', 'lang', 'topics', 'match', 'sort', 'dir', 'forks', 'archived'];
+        const current = new URLSearchParams(window.location.search);
+        const rendered = this.lastSyncedParams || new URLSearchParams();
+
+        if (filterParams.every(name => current.get(name) === rendered.get(name))) return;
+
+        this.restoreUrlState();
+        if (this.allRepos.length > 0) {
+            this.populateLanguageFilter();
+            this.populateTopicFilter();
+            this.populateKindFilter();
+            this.applyFilters();
+        }
     }
 
     /**
@@ -120,6 +741,9 @@ export class GitHubRenderer {
         const filterInput = document.getElementById(this.options.filterInputId);
         const sortSelect = document.getElementById(this.options.sortSelectId);
 
+        // Left out of the URL while selected
+        this.defaultSort = sortSelect ? sortSelect.value : '';
+
         if (filterInput) {
             let debounceTimer;
             filterInput.addEventListener('input', () => {
@@ -132,13 +756,140 @@ export class GitHubRenderer {
 
         if (sortSelect) {
             sortSelect.addEventListener('change', () => {
-                this.applyFilters();
+                // Each sort starts in its natural direction: A-Z, newest or largest first
+                this.setSort(sortSelect.value, SORT_FIELDS[sortSelect.value]?.direction);
+            });
+        }
+
+        const directionButton = document.getElementById(this.options.sortDirectionId);
+        if (directionButton) {
+            directionButton.addEventListener('click', () => {
+                this.setSort(this.getSortKey(), this.sortDirection === 'ascending' ? 'descending' : 'ascending');
             });
         }
     }
 
+    /**
+     * Apply a sort chosen by the visitor: re-sort, save it and announce it
+     */
+    setSort(key, direction = 'ascending') {
+        const sortSelect = document.getElementById(this.options.sortSelectId);
+        if (sortSelect && sortSelect.value !== key) {
+            sortSelect.value = key;
+        }
+
+        this.sortDirection = direction;
+        this.updateSortDirectionButton();
+        this.applyFilters();
+
+        if (this.preferenceManager) {
+            this.preferenceManager.set('repoSort', this.getSortKey());
+            this.preferenceManager.set('repoSortDirection', this.sortDirection);
+        }
+
+        const status = document.getElementById(this.options.sortStatusId);
+        if (status) {
+            status.textContent = `Sorted by ${SORT_FIELDS[this.getSortKey()]?.label || this.getSortKey()}, ${this.sortDirection}`;
+        }
+    }
+
+    /**
+     * The selected sort key, e.g. 'stars'
+     */
+    getSortKey() {
+        const sortSelect = document.getElementById(this.options.sortSelectId);
+        return sortSelect ? sortSelect.value : 'updated';
+    }
+
+    /**
+     * Show the current direction on the toggle button
+     */
+    updateSortDirectionButton() {
+        const button = document.getElementById(this.options.sortDirectionId);
+        if (!button) return;
+
+        const descending = this.sortDirection === 'descending';
+        button.setAttribute('aria-pressed', String(descending));
+
+        const icon = button.querySelector('i');
+        if (icon) {
+            icon.className = descending ? 'fas fa-arrow-down-wide-short' : 'fas fa-arrow-up-short-wide';
+        }
+    }
+
+    /**
+     * Setup the grid / list / table switcher and table header sorting
+     */
+    setupViewSwitcher() {
+        const switcher = document.getElementById(this.options.viewSwitcherId);
+        const tableContainer = document.getElementById(this.options.tableContainerId);
+
+        if (switcher) {
+            switcher.addEventListener('click', (e) => {
+                const button = e.target.closest('[data-view]');
+                if (!button) return;
+
+                // The preference listener applies the change (and persists it)
+                if (this.preferenceManager) {
+                    this.preferenceManager.set('repoView', button.dataset.view);
+                } else {
+                    this.setViewMode(button.dataset.view);
+                }
+            });
+        }
+
+        if (tableContainer) {
+            tableContainer.addEventListener('click', (e) => {
+                const button = e.target.closest('.repo-table-sort');
+                if (button) {
+                    this.setTableSort(button.dataset.sort);
+                }
+            });
+        }
+
+        if (this.preferenceManager) {
+            this.preferenceManager.on('repoView', this.handleViewModeChange);
+        }
+    }
+
+    /**
+     * Follow the repoView preference
+     */
+    handleViewModeChange(viewMode) {
+        this.setViewMode(viewMode);
+    }
+
+    /**
+     * Switch between the card grid, the dense list and the table
+     */
+    setViewMode(viewMode) {
+        this.viewMode = VIEW_MODES.includes(viewMode) ? viewMode : 'grid';
+
+        const repoContainer = document.getElementById(this.options.containerId);
+        const tableContainer = document.getElementById(this.options.tableContainerId);
+        const switcher = document.getElementById(this.options.viewSwitcherId);
+
+        if (repoContainer) {
+            repoContainer.classList.toggle('repo-view-list', this.viewMode === 'list');
+            repoContainer.hidden = this.viewMode === 'table';
+        }
+        if (tableContainer) {
+            tableContainer.hidden = this.viewMode !== 'table' || this.visibleRepos.length === 0;
+        }
+        if (switcher) {
+            switcher.querySelectorAll('[data-view]').forEach(button => {
+                button.setAttribute('aria-pressed', String(button.dataset.view === this.viewMode));
+            });
+        }
+
+        if (this.allRepos.length > 0) {
+            this.renderRepos(this.visibleRepos);
+        }
+    }
+
     /**
      * Render featured projects from provided data
+     * The repos are expected to be already selected (see GitHubAPI.fetchFeaturedRepos)
      */
     renderFeaturedReposFromData(repos) {
         const featuredContainer = document.getElementById(this.options.featuredContainerId);
@@ -150,21 +901,13 @@ export class GitHubRenderer {
         }
 
         try {
-            const reposWithDescriptions = repos.filter(repo =>
-                repo.description && repo.description.trim() !== ''
-            );
-
-            const sortedRepos = [...reposWithDescriptions].sort((a, b) => {
-                const dateCompare = new Date(b.updated_at) - new Date(a.updated_at);
-                if (dateCompare !== 0) return dateCompare;
-                return (b.stargazers_count || 0) - (a.stargazers_count || 0);
-            });
-
-            this.featuredRepos = sortedRepos.slice(0, this.options.maxFeaturedRepos);
+            this.featuredRepos = repos.slice(0, this.options.maxFeaturedRepos);
             this.currentFeaturedIndex = 0;
 
             this.renderFeaturedRepos();
             this.setupFeaturedNavigation();
+            this.renderFeaturedDots();
+            this.scheduleAutoplay();
 
         } catch (error) {
             console.error('Error rendering featured repos:', error);
@@ -237,15 +980,24 @@ export class GitHubRenderer {
 
         const repoName = document.createElement('div');
         repoName.className = 'repo-name';
-        repoName.textContent = repo.name;
+        repoName.textContent = this.getDisplayName(repo);
 
         const repoDesc = document.createElement('div');
         repoDesc.className = 'repo-description';
         repoDesc.textContent = repo.description || 'No description available.';
 
         repoHeader.appendChild(repoName);
+        const statusBadges = this.createStatusBadges(repo);
+        if (statusBadges) {
+            repoHeader.appendChild(statusBadges);
+        }
         repoHeader.appendChild(repoDesc);
 
+        const topicList = this.createTopicChips(repo, { interactive: false });
+        if (topicList) {
+            repoHeader.appendChild(topicList);
+        }
+
         const repoMeta = document.createElement('div');
         repoMeta.className = 'repo-meta';
 
@@ -265,11 +1017,17 @@ export class GitHubRenderer {
         const dateIcon = document.createElement('i');
         dateIcon.className = 'fas fa-clock';
         dateSpan.appendChild(dateIcon);
-        dateSpan.appendChild(document.createTextNode(' ' + new Date(repo.updated_at).toLocaleDateString()));
+        dateSpan.appendChild(document.createTextNode(' '));
+        dateSpan.appendChild(this.relativeTime.create(repo.updated_at, { label: 'updated' }));
+
+        // Filled in with a version badge once the latest release is known
+        const releaseSpan = document.createElement('span');
+        releaseSpan.className = 'repo-release';
 
         repoMeta.appendChild(langSpan);
         repoMeta.appendChild(starsSpan);
         repoMeta.appendChild(dateSpan);
+        repoMeta.appendChild(releaseSpan);
 
         const repoFooter = document.createElement('div');
         repoFooter.className = 'repo-footer';
@@ -286,6 +1044,7 @@ export class GitHubRenderer {
         repoLink.appendChild(document.createTextNode(' View Repository'));
 
         repoFooter.appendChild(repoLink);
+        this.appendPreviewButton(repoFooter, repo);
 
         cardDiv.appendChild(starBadge);
         cardDiv.appendChild(repoHeader);
@@ -294,6 +1053,15 @@ export class GitHubRenderer {
 
         featuredProject.innerHTML = '';
         featuredProject.appendChild(cardDiv);
+        featuredProject.setAttribute('aria-label', `${this.currentFeaturedIndex + 1} of ${this.featuredRepos.length}`);
+
+        // Only the slide on screen still needs its release
+        this.featuredRequests.abort();
+        this.featuredRequests = new AbortController();
+        if (this.gitHubAPI) {
+            this.loadRepoRelease(releaseSpan, repo, this.featuredRequests.signal);
+            this.loadForkParent(cardDiv, repo, this.featuredRequests.signal);
+        }
 
         this.updateFeaturedCounter();
         featuredContainer.style.display = 'block';
@@ -323,51 +1091,252 @@ export class GitHubRenderer {
     }
 
     /**
-     * Show previous featured project
+     * Show previous featured project, wrapping around to the last
      */
     showPreviousFeatured() {
-        if (this.currentFeaturedIndex > 0) {
-            this.currentFeaturedIndex--;
-            this.renderFeaturedRepos();
-            // Force synchronous state update before updating buttons
-            this.updateFeaturedCounter();
-            this.updateNavigationButtons();
-            this.eventManager.emit('featuredNavigate', { index: this.currentFeaturedIndex });
-        }
+        this.showFeatured(this.currentFeaturedIndex - 1);
     }
 
     /**
-     * Show next featured project
+     * Show next featured project, wrapping around to the first
      */
     showNextFeatured() {
-        if (this.currentFeaturedIndex < this.featuredRepos.length - 1) {
-            this.currentFeaturedIndex++;
-            this.renderFeaturedRepos();
-            // Force synchronous state update before updating buttons  
-            this.updateFeaturedCounter();
-            this.updateNavigationButtons();
-            this.eventManager.emit('featuredNavigate', { index: this.currentFeaturedIndex });
-        }
+        this.showFeatured(this.currentFeaturedIndex + 1);
+    }
+
+    /**
+     * Show the featured project at an index (wraps around both ends)
+     */
+    showFeatured(index) {
+        const count = this.featuredRepos.length;
+        if (count < 2) return;
+
+        const nextIndex = ((index % count) + count) % count;
+        if (nextIndex === this.currentFeaturedIndex) return;
+
+        this.currentFeaturedIndex = nextIndex;
+        this.renderFeaturedRepos();
+        // Force synchronous state update before updating buttons
+        this.updateFeaturedCounter();
+        this.updateNavigationButtons();
+        this.updateFeaturedDots();
+        this.eventManager.emit('featuredNavigate', { index: this.currentFeaturedIndex });
+
+        // Restart the countdown so a manual change gets a full interval
+        this.scheduleAutoplay();
     }
 
     /**
      * Update navigation button states
+     * With wrap-around they are only disabled when there is nothing to move to
      */
     updateNavigationButtons() {
-        const prevBtn = document.getElementById('featured-prev');
-        const nextBtn = document.getElementById('featured-next');
+        const isDisabled = this.featuredRepos.length < 2;
+
+        ['featured-prev', 'featured-next'].forEach(id => {
+            const button = document.getElementById(id);
+            if (button) {
+                button.disabled = isDisabled;
+                button.setAttribute('aria-disabled', isDisabled.toString());
+            }
+        });
+    }
+
+    /**
+     * Build one picker button per featured project
+     */
+    renderFeaturedDots() {
+        const dots = document.getElementById('featured-dots');
+        if (!dots) return;
+
+        dots.innerHTML = '';
+        dots.hidden = this.featuredRepos.length < 2;
+
+        this.featuredRepos.forEach((repo, index) => {
+            const dot = document.createElement('button');
+            dot.type = 'button';
+            dot.className = 'featured-dot';
+            dot.dataset.index = String(index);
+            dot.setAttribute('aria-label', `Show project ${index + 1}: ${repo.name}`);
+            dots.appendChild(dot);
+        });
+
+        this.updateFeaturedDots();
+    }
 
-        if (prevBtn) {
-            const isDisabled = this.currentFeaturedIndex === 0;
-            prevBtn.disabled = isDisabled;
-            prevBtn.setAttribute('aria-disabled', isDisabled.toString());
+    /**
+     * Mark the picker button of the project on screen
+     */
+    updateFeaturedDots() {
+        const dots = document.getElementById('featured-dots');
+        if (!dots) return;
+
+        dots.querySelectorAll('.featured-dot').forEach(dot => {
+            const isCurrent = Number(dot.dataset.index) === this.currentFeaturedIndex;
+            dot.classList.toggle('active', isCurrent);
+            if (isCurrent) {
+                dot.setAttribute('aria-current', 'true');
+            } else {
+                dot.removeAttribute('aria-current');
+            }
+        });
+    }
+
+    /**
+     * Wire up the parts of the carousel that outlive a re-render:
+     * picker buttons, rotation control, hover/focus pausing and swipes
+     * Follows the WAI-ARIA APG carousel pattern
+     */
+    setupFeaturedCarousel() {
+        const container = document.getElementById(this.options.featuredContainerId);
+        const featuredProject = document.getElementById(this.options.featuredProjectId);
+        const dots = document.getElementById('featured-dots');
+        const rotationButton = document.getElementById('featured-rotation');
+
+        if (dots) {
+            dots.addEventListener('click', (e) => {
+                const dot = e.target.closest('.featured-dot');
+                if (dot) {
+                    this.showFeatured(Number(dot.dataset.index));
+                }
+            });
         }
 
-        if (nextBtn) {
-            const isDisabled = this.currentFeaturedIndex === this.featuredRepos.length - 1;
-            nextBtn.disabled = isDisabled;
-            nextBtn.setAttribute('aria-disabled', isDisabled.toString());
+        if (rotationButton && this.options.featuredAutoplay) {
+            rotationButton.hidden = false;
+            rotationButton.addEventListener('click', () => {
+                if (this.autoplay.enabled) {
+                    this.stopAutoplay();
+                } else {
+                    this.startAutoplay();
+                }
+            });
         }
+
+        if (container) {
+            container.addEventListener('mouseenter', this.handleCarouselPointerEnter);
+            container.addEventListener('mouseleave', this.handleCarouselPointerLeave);
+            container.addEventListener('focusin', this.handleCarouselFocusIn);
+            container.addEventListener('focusout', this.handleCarouselFocusOut);
+        }
+
+        if (featuredProject && this.mobileNavigation) {
+            this.removeFeaturedSwipe = this.mobileNavigation.addSwipeListener(featuredProject, {
+                onSwipeLeft: () => this.showNextFeatured(),
+                onSwipeRight: () => this.showPreviousFeatured()
+            });
+        }
+
+        this.autoplay.enabled = this.options.featuredAutoplay;
+
+        // Also called right away with the current value
+        if (this.preferenceManager) {
+            this.preferenceManager.on('reducedMotion', this.handleReducedMotion);
+        }
+        this.updateRotationControl();
+    }
+
+    /**
+     * Start rotating through the featured projects
+     */
+    startAutoplay() {
+        this.autoplay.enabled = true;
+        this.updateRotationControl();
+        this.scheduleAutoplay();
+    }
+
+    /**
+     * Stop rotating; only the rotation control starts it again
+     */
+    stopAutoplay() {
+        this.autoplay.enabled = false;
+        clearTimeout(this.autoplay.timer);
+        this.autoplay.timer = null;
+        this.updateRotationControl();
+    }
+
+    /**
+     * (Re)start the countdown to the next slide, if rotation is on
+     */
+    scheduleAutoplay() {
+        clearTimeout(this.autoplay.timer);
+        this.autoplay.timer = null;
+
+        if (!this.autoplay.enabled || this.autoplay.paused || this.featuredRepos.length < 2) return;
+
+        this.autoplay.timer = setTimeout(() => this.showNextFeatured(), this.options.featuredInterval);
+    }
+
+    /**
+     * Reflect the rotation state on its button and the counter's live region
+     */
+    updateRotationControl() {
+        const rotationButton = document.getElementById('featured-rotation');
+        const counter = document.getElementById('featured-counter');
+        const rotating = this.autoplay.enabled;
+
+        if (rotationButton) {
+            rotationButton.setAttribute('aria-label', rotating ? 'Stop automatic slide show' : 'Start automatic slide show');
+            const icon = rotationButton.querySelector('i');
+            if (icon) {
+                icon.className = rotating ? 'fas fa-pause' : 'fas fa-play';
+            }
+        }
+
+        // Don't announce every slide while they change by themselves
+        if (counter) {
+            counter.setAttribute('aria-live', rotating ? 'off' : 'polite');
+        }
+    }
+
+    /**
+     * Never rotate for visitors who asked for reduced motion
+     */
+    handleReducedMotion(reducedMotion) {
+        if (reducedMotion) {
+            this.stopAutoplay();
+        }
+    }
+
+    /**
+     * Pause rotation while the pointer is over the carousel
+     */
+    handleCarouselPointerEnter() {
+        this.autoplay.paused = true;
+        this.scheduleAutoplay();
+    }
+
+    /**
+     * Resume rotation when the pointer leaves, unless focus is still inside
+     */
+    handleCarouselPointerLeave(e) {
+        if (e.currentTarget.contains(document.activeElement)) return;
+
+        this.autoplay.paused = false;
+        this.scheduleAutoplay();
+    }
+
+    /**
+     * Keyboard focus inside the carousel stops rotation for good,
+     * except on the rotation control itself, where it only pauses
+     */
+    handleCarouselFocusIn(e) {
+        if (e.target.id === 'featured-rotation') {
+            this.autoplay.paused = true;
+            this.scheduleAutoplay();
+        } else if (this.autoplay.enabled) {
+            this.stopAutoplay();
+        }
+    }
+
+    /**
+     * Resume a paused rotation once focus leaves the carousel
+     */
+    handleCarouselFocusOut(e) {
+        if (e.currentTarget.contains(e.relatedTarget) || e.currentTarget.matches(':hover')) return;
+
+        this.autoplay.paused = false;
+        this.scheduleAutoplay();
     }
 
     /**
@@ -402,16 +1371,21 @@ export class GitHubRenderer {
 
         try {
             this.allRepos = repos;
+            this.searchIndex = createSearchIndex(repos);
+            this.showOwner = new Set(repos.map(repo => repo.owner?.login)).size > 1;
             this.reposWithDesc = repos.filter(repo => repo.description && repo.description.trim() !== '');
             this.reposWithoutDesc = repos.filter(repo => !repo.description || repo.description.trim() === '');
+            this.pruneCardCache();
 
-            // Populate language filter with available languages
+            // Populate language and topic filters with available values
             this.populateLanguageFilter();
+            this.populateTopicFilter();
+            this.populateKindFilter();
 
             // Apply initial render with filters
             this.applyFilters();
 
-            if (this.reposWithoutDesc.length > 0) {
+            if (this.reposWithoutDesc.length > 0 && !this.includeReposWithoutDesc) {
                 this.showLoadMoreButton();
             }
 
@@ -441,6 +1415,8 @@ export class GitHubRenderer {
 
     /**
      * Render repository cards
+     * Only the first page is rendered right away; the rest is appended as the
+     * end of the grid scrolls into view. Cards are reused across re-renders.
      */
     renderRepos(repos) {
         const repoContainer = document.getElementById(this.options.containerId);
@@ -452,18 +1428,353 @@ export class GitHubRenderer {
         const skeletonCards = repoContainer.querySelectorAll('.skeleton-repo-card');
         skeletonCards.forEach(card => card.remove());
 
-        repoContainer.innerHTML = '';
+        // Stop loading details for cards that are no longer listed (none are in table view)
+        const listed = new Set(this.viewMode === 'table' ? [] : repos.map(repo => this.getRepoKey(repo)));
+        this.cardCache.forEach((entry, key) => {
+            if (!listed.has(key)) {
+                this.cancelCardWork(entry);
+            }
+        });
+
+        // Detach without destroying - cached cards come back on the next render
+        repoContainer.replaceChildren();
+        this.visibleRepos = repos;
+        this.renderedCount = 0;
+        this.renderRepoTable();
 
         if (repos.length === 0) {
+            this.updateSentinel();
+            this.renderSearchSuggestions();
             if (noReposMessage) noReposMessage.style.display = 'block';
             return;
         }
 
         if (noReposMessage) noReposMessage.style.display = 'none';
 
-        repos.forEach(repo => {
-            const card = this.createRepoCard(repo);
-            repoContainer.appendChild(card);
+        if (this.viewMode === 'table') {
+            this.updateSentinel();
+        } else {
+            this.renderNextPage();
+        }
+    }
+
+    /**
+     * Append the next page of cards to the grid
+     */
+    renderNextPage() {
+        const repoContainer = document.getElementById(this.options.containerId);
+        if (!repoContainer) return;
+
+        const page = this.visibleRepos.slice(this.renderedCount, this.renderedCount + this.options.pageSize);
+        const fragment = document.createDocumentFragment();
+
+        page.forEach(repo => {
+            fragment.appendChild(this.getRepoCard(repo));
+        });
+
+        repoContainer.appendChild(fragment);
+        this.renderedCount += page.length;
+        this.updateSentinel();
+    }
+
+    /**
+     * Watch an empty element after the grid and render the next page when it comes into view
+     */
+    updateSentinel() {
+        const repoContainer = document.getElementById(this.options.containerId);
+        if (!repoContainer) return;
+
+        if (!this.sentinel) {
+            this.sentinel = document.createElement('div');
+            this.sentinel.className = 'repo-grid-sentinel';
+            this.sentinel.setAttribute('aria-hidden', 'true');
+            repoContainer.after(this.sentinel);
+        }
+
+        this.lazyLoader?.unobserve(this.sentinel);
+
+        const hasMore = this.viewMode !== 'table' && this.renderedCount < this.visibleRepos.length;
+        this.sentinel.hidden = !hasMore;
+        if (!hasMore) return;
+
+        // Without an observer everything is rendered at once
+        if (this.lazyLoader) {
+            this.lazyLoader.observeVisibility(this.sentinel, () => this.renderNextPage());
+        } else {
+            this.renderNextPage();
+        }
+    }
+
+    /**
+     * Render the table view of the listed repos
+     * Rows are light enough to render in one go, so the table is not paged.
+     * SECURITY: Built with DOM methods - names and languages come from GitHub
+     */
+    renderRepoTable() {
+        const container = document.getElementById(this.options.tableContainerId);
+        if (!container) return;
+
+        // An empty region would still be a tab stop
+        container.hidden = this.viewMode !== 'table' || this.visibleRepos.length === 0;
+        if (container.hidden) {
+            container.replaceChildren();
+            return;
+        }
+
+        const table = document.createElement('table');
+        table.className = 'repo-table';
+
+        const caption = document.createElement('caption');
+        caption.id = `${this.options.tableContainerId}-caption`;
+        caption.className = 'repo-table-caption';
+        caption.textContent = this.getTableCaption();
+        container.setAttribute('aria-labelledby', caption.id);
+
+        const headRow = document.createElement('tr');
+        TABLE_COLUMNS.forEach(column => {
+            headRow.appendChild(this.createTableHeader(column));
+        });
+
+        const thead = document.createElement('thead');
+        thead.appendChild(headRow);
+
+        const tbody = document.createElement('tbody');
+        this.sortTableRepos(this.visibleRepos).forEach(repo => {
+            tbody.appendChild(this.createTableRow(repo));
+        });
+
+        table.appendChild(caption);
+        table.appendChild(thead);
+        table.appendChild(tbody);
+        container.replaceChildren(table);
+    }
+
+    /**
+     * Describe the table contents and its sort order
+     */
+    getTableCaption() {
+        const count = this.visibleRepos.length;
+        const caption = `${count} project${count === 1 ? '' : 's'}`;
+        const column = TABLE_COLUMNS.find(c => c.key === this.tableSort.key);
+
+        return column ? `${caption}, sorted by ${column.label.toLowerCase()}, ${this.tableSort.direction}` : caption;
+    }
+
+    /**
+     * Create a column header with a sort button
+     * aria-sort is only set on the column the table is sorted by
+     */
+    createTableHeader(column) {
+        const th = document.createElement('th');
+        th.scope = 'col';
+        if (column.numeric) {
+            th.className = 'numeric';
+        }
+
+        const sorted = this.tableSort.key === column.key;
+        if (sorted) {
+            th.setAttribute('aria-sort', this.tableSort.direction);
+        }
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'repo-table-sort';
+        button.dataset.sort = column.key;
+        button.textContent = column.label;
+
+        const icon = document.createElement('i');
+        icon.setAttribute('aria-hidden', 'true');
+        if (!sorted) {
+            icon.className = 'fas fa-sort';
+        } else {
+            icon.className = this.tableSort.direction === 'ascending' ? 'fas fa-sort-up' : 'fas fa-sort-down';
+        }
+        button.appendChild(icon);
+
+        th.appendChild(button);
+        return th;
+    }
+
+    /**
+     * Create a table row; the name cell heads the row for screen readers
+     */
+    createTableRow(repo) {
+        const row = document.createElement('tr');
+
+        const nameCell = document.createElement('th');
+        nameCell.scope = 'row';
+        const link = document.createElement('a');
+        link.href = repo.html_url;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        const displayName = this.getDisplayName(repo);
+        this.appendHighlighted(link, displayName, this.searchResults?.get(repo)?.highlights?.name, displayName.length - repo.name.length);
+        nameCell.appendChild(link);
+
+        const languageCell = document.createElement('td');
+        if (repo.language) {
+            const dot = document.createElement('span');
+            dot.className = 'language-dot';
+            dot.style.backgroundColor = getLanguageColor(repo.language);
+            dot.setAttribute('aria-hidden', 'true');
+            languageCell.appendChild(dot);
+            languageCell.appendChild(document.createTextNode(' ' + repo.language));
+        } else {
+            languageCell.textContent = 'Unknown';
+        }
+
+        const starsCell = document.createElement('td');
+        starsCell.className = 'numeric';
+        starsCell.textContent = (repo.stargazers_count || 0).toLocaleString();
+
+        const forksCell = document.createElement('td');
+        forksCell.className = 'numeric';
+        forksCell.textContent = (repo.forks_count || 0).toLocaleString();
+
+        const updatedCell = document.createElement('td');
+        updatedCell.className = 'numeric';
+        updatedCell.appendChild(this.relativeTime.create(repo.updated_at));
+
+        row.appendChild(nameCell);
+        row.appendChild(languageCell);
+        row.appendChild(starsCell);
+        row.appendChild(forksCell);
+        row.appendChild(updatedCell);
+        return row;
+    }
+
+    /**
+     * Sort by a table column; clicking the sorted column again reverses it
+     */
+    setTableSort(key) {
+        const column = TABLE_COLUMNS.find(c => c.key === key);
+        if (!column) return;
+
+        if (this.tableSort.key === key) {
+            this.tableSort.direction = this.tableSort.direction === 'ascending' ? 'descending' : 'ascending';
+        } else {
+            this.tableSort = { key, direction: column.numeric ? 'descending' : 'ascending' };
+        }
+
+        this.renderRepoTable();
+
+        // The header was rebuilt; keep keyboard focus on the same column
+        const container = document.getElementById(this.options.tableContainerId);
+        container?.querySelector(`.repo-table-sort[data-sort="${key}"]`)?.focus();
+    }
+
+    /**
+     * Order repos by the table sort; ties keep the grid order
+     */
+    sortTableRepos(repos) {
+        const { key, direction } = this.tableSort;
+        if (!key) return repos;
+
+        const factor = direction === 'ascending' ? 1 : -1;
+        const value = (repo) => {
+            switch (key) {
+                case 'name':
+                    return this.getDisplayName(repo);
+                case 'language':
+                    return repo.language || '';
+                case 'stars':
+                    return repo.stargazers_count || 0;
+                case 'forks':
+                    return repo.forks_count || 0;
+                default:
+                    return new Date(repo.updated_at).getTime() || 0;
+            }
+        };
+
+        return [...repos].sort((a, b) => {
+            const first = value(a);
+            const second = value(b);
+
+            // Repos without a language stay at the bottom either way
+            if (key === 'language' && (first === '' || second === '')) {
+                return (first === '') - (second === '');
+            }
+
+            return typeof first === 'string'
+                ? factor * first.localeCompare(second)
+                : factor * (first - second);
+        });
+    }
+
+    /**
+     * Get the card for a repo, reusing the cached node when the repo data is unchanged
+     */
+    getRepoCard(repo) {
+        const key = this.getRepoKey(repo);
+        let entry = this.cardCache.get(key);
+
+        if (entry && entry.repo === repo && entry.showOwner === this.showOwner) {
+            // Search highlights and topic chip states depend on the current filters
+            this.updateRepoCard(entry.card, repo);
+        } else {
+            if (entry) {
+                this.cancelCardWork(entry);
+            }
+            entry = {
+                repo,
+                showOwner: this.showOwner,
+                card: this.createRepoCard(repo),
+                state: 'idle', // idle -> observing -> loading -> loaded
+                controller: null
+            };
+            this.cardCache.set(key, entry);
+        }
+
+        this.observeRepoDetails(entry);
+        return entry.card;
+    }
+
+    /**
+     * Refresh the filter-dependent parts of a reused card
+     */
+    updateRepoCard(card, repo) {
+        this.renderCardText(card, repo);
+        // Detached cards miss the periodic refresh
+        this.relativeTime.refresh(card);
+        card.querySelectorAll('.topic-chip[data-topic]').forEach(chip => this.updateTopicChip(chip));
+    }
+
+    /**
+     * Fill a card's name and description, highlighting search matches
+     */
+    renderCardText(card, repo) {
+        const repoName = card.querySelector('.repo-name');
+        const repoDesc = card.querySelector('.repo-description');
+        const highlights = this.searchResults?.get(repo)?.highlights;
+
+        if (repoName) {
+            const displayName = this.getDisplayName(repo);
+            repoName.replaceChildren();
+            // Ranges are relative to the bare name; the owner prefix shifts them
+            this.appendHighlighted(repoName, displayName, highlights?.name, displayName.length - repo.name.length);
+        }
+
+        if (repoDesc) {
+            repoDesc.replaceChildren();
+            if (repo.description) {
+                this.appendHighlighted(repoDesc, repo.description, highlights?.description);
+            } else {
+                repoDesc.textContent = 'No description available.';
+            }
+        }
+    }
+
+    /**
+     * Drop cached cards for repos that are gone from the data
+     */
+    pruneCardCache() {
+        const keys = new Set(this.allRepos.map(repo => this.getRepoKey(repo)));
+
+        this.cardCache.forEach((entry, key) => {
+            if (!keys.has(key)) {
+                this.cancelCardWork(entry);
+                this.cardCache.delete(key);
+            }
         });
     }
 
@@ -481,6 +1792,7 @@ export class GitHubRenderer {
         repoCard.setAttribute('tabindex', '0');
         repoCard.setAttribute('role', 'article');
         repoCard.setAttribute('aria-label', `Project: ${repo.name}`);
+        repoCard.dataset.repo = this.getRepoKey(repo);
 
         const repoHeader = document.createElement('div');
         repoHeader.className = 'repo-header';
@@ -490,14 +1802,25 @@ export class GitHubRenderer {
 
         const repoName = document.createElement('div');
         repoName.className = 'repo-name';
-        repoName.textContent = repo.name;
 
         repoHeader.appendChild(langBadge);
         repoHeader.appendChild(repoName);
 
+        const statusBadges = this.createStatusBadges(repo);
+        if (statusBadges) {
+            repoHeader.appendChild(statusBadges);
+        }
+
         const repoDesc = document.createElement('div');
         repoDesc.className = 'repo-description';
-        repoDesc.textContent = repo.description || 'No description available.';
+
+        // Filled in with a stacked language bar once the card scrolls into view
+        const repoLanguages = document.createElement('div');
+        repoLanguages.className = 'repo-languages';
+
+        // Filled in with a 52-week commit sparkline once the card scrolls into view
+        const repoActivity = document.createElement('div');
+        repoActivity.className = 'repo-activity';
 
         const repoMeta = document.createElement('div');
         repoMeta.className = 'repo-meta';
@@ -512,10 +1835,16 @@ export class GitHubRenderer {
         const dateIcon = document.createElement('i');
         dateIcon.className = 'fas fa-clock';
         dateSpan.appendChild(dateIcon);
-        dateSpan.appendChild(document.createTextNode(' ' + new Date(repo.updated_at).toLocaleDateString()));
+        dateSpan.appendChild(document.createTextNode(' '));
+        dateSpan.appendChild(this.relativeTime.create(repo.updated_at, { label: 'updated' }));
+
+        // Filled in with a version badge once the card scrolls into view
+        const releaseSpan = document.createElement('span');
+        releaseSpan.className = 'repo-release';
 
         repoMeta.appendChild(starsSpan);
         repoMeta.appendChild(dateSpan);
+        repoMeta.appendChild(releaseSpan);
 
         const repoFooter = document.createElement('div');
         repoFooter.className = 'repo-footer';
@@ -532,14 +1861,28 @@ export class GitHubRenderer {
         repoLink.appendChild(document.createTextNode(' View Repository'));
 
         repoFooter.appendChild(repoLink);
+        this.appendPreviewButton(repoFooter, repo);
+        this.appendCompareToggle(repoFooter, repo);
+        this.appendFavoriteToggle(repoFooter, repo);
 
         repoCard.appendChild(repoHeader);
         repoCard.appendChild(repoDesc);
+
+        const topicList = this.createTopicChips(repo);
+        if (topicList) {
+            repoCard.appendChild(topicList);
+        }
+
+        repoCard.appendChild(repoLanguages);
         repoCard.appendChild(repoMeta);
+        repoCard.appendChild(repoActivity);
         repoCard.appendChild(repoFooter);
 
-        // Add keyboard support
+        this.renderCardText(repoCard, repo);
+
+        // Add keyboard support (only for the card itself, not its buttons and links)
         repoCard.addEventListener('keydown', (e) => {
+            if (e.target !== repoCard) return;
             if (e.key === 'Enter' || e.key === ' ') {
                 e.preventDefault();
                 window.open(repo.html_url, '_blank');
@@ -550,6 +1893,590 @@ export class GitHubRenderer {
         return card;
     }
 
+    /**
+     * Append text with the given [start, end) ranges wrapped in <mark>
+     * SECURITY: Text nodes only - repository names and descriptions are user content
+     */
+    appendHighlighted(element, text, ranges = [], offset = 0) {
+        let position = 0;
+
+        (ranges || []).forEach(([start, end]) => {
+            start += offset;
+            end += offset;
+            if (start < position || end > text.length) return;
+
+            if (start > position) {
+                element.appendChild(document.createTextNode(text.slice(position, start)));
+            }
+
+            const mark = document.createElement('mark');
+            mark.className = 'search-highlight';
+            mark.textContent = text.slice(start, end);
+            element.appendChild(mark);
+            position = end;
+        });
+
+        if (position < text.length) {
+            element.appendChild(document.createTextNode(text.slice(position)));
+        }
+    }
+
+    /**
+     * Offer "did you mean" queries when a search finds nothing
+     */
+    renderSearchSuggestions() {
+        const container = document.getElementById(this.options.searchSuggestionsId);
+        if (!container) return;
+
+        const filterInput = document.getElementById(this.options.filterInputId);
+        const query = filterInput ? filterInput.value.trim() : '';
+        const suggestions = query ? suggestQueries(this.searchIndex, query) : [];
+
+        container.innerHTML = '';
+        container.hidden = suggestions.length === 0;
+        if (suggestions.length === 0) return;
+
+        container.appendChild(document.createTextNode('Did you mean '));
+
+        suggestions.forEach((suggestion, index) => {
+            if (index > 0) {
+                container.appendChild(document.createTextNode(index === suggestions.length - 1 ? ' or ' : ', '));
+            }
+
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'search-suggestion';
+            button.textContent = suggestion;
+            button.addEventListener('click', () => {
+                filterInput.value = suggestion;
+                this.applyFilters();
+                filterInput.focus();
+            });
+            container.appendChild(button);
+        });
+
+        container.appendChild(document.createTextNode('?'));
+    }
+
+    /**
+     * Create the list of topic chips for a repo, or null when it has none
+     * Interactive chips toggle the topic filter for the grid
+     */
+    createTopicChips(repo, { interactive = true } = {}) {
+        const topics = repo.topics || [];
+        if (topics.length === 0) return null;
+
+        const list = document.createElement('ul');
+        list.className = 'repo-topics';
+        list.setAttribute('aria-label', 'Topics');
+
+        topics.slice(0, this.options.maxTopicChips).forEach(topic => {
+            const item = document.createElement('li');
+            let chip;
+
+            if (interactive) {
+                chip = document.createElement('button');
+                chip.type = 'button';
+                chip.dataset.topic = topic;
+                this.updateTopicChip(chip);
+                chip.addEventListener('click', () => {
+                    this.setTopicFilter(topic, !this.currentTopicFilters.has(topic));
+                    this.focusTopicChip(repo, topic);
+                });
+            } else {
+                chip = document.createElement('span');
+            }
+
+            chip.className = 'topic-chip';
+            chip.textContent = topic;
+            item.appendChild(chip);
+            list.appendChild(item);
+        });
+
+        // Summarize the rest so long topic lists don't swamp the card
+        const hidden = topics.slice(this.options.maxTopicChips);
+        if (hidden.length > 0) {
+            const more = document.createElement('li');
+            more.className = 'topic-chip-more';
+            more.title = hidden.join(', ');
+
+            const count = document.createElement('span');
+            count.setAttribute('aria-hidden', 'true');
+            count.textContent = `+${hidden.length}`;
+
+            const description = document.createElement('span');
+            description.className = 'sr-only';
+            description.textContent = `${hidden.length} more: ${hidden.join(', ')}`;
+
+            more.appendChild(count);
+            more.appendChild(description);
+            list.appendChild(more);
+        }
+
+        return list;
+    }
+
+    /**
+     * Reflect whether a chip's topic is currently filtered on
+     */
+    updateTopicChip(chip) {
+        const topic = chip.dataset.topic;
+        const selected = this.currentTopicFilters.has(topic);
+
+        chip.setAttribute('aria-pressed', String(selected));
+        chip.title = selected ? `Stop filtering by ${topic}` : `Show only projects tagged ${topic}`;
+    }
+
+    /**
+     * Move focus back to a chip after the grid was re-rendered around it
+     */
+    focusTopicChip(repo, topic) {
+        const container = document.getElementById(this.options.containerId);
+        const repoCard = [...(container?.querySelectorAll('.repo-card') || [])]
+            .find(card => card.dataset.repo === this.getRepoKey(repo));
+        const chip = [...(repoCard?.querySelectorAll('.topic-chip') || [])]
+            .find(element => element.dataset.topic === topic);
+
+        chip?.focus();
+    }
+
+    /**
+     * Add a "Preview" button that opens the README without leaving the site
+     */
+    appendPreviewButton(footer, repo) {
+        if (!this.readmePreview) return;
+
+        const previewButton = document.createElement('button');
+        previewButton.type = 'button';
+        previewButton.className = 'repo-preview-btn';
+        previewButton.setAttribute('aria-haspopup', 'dialog');
+        previewButton.setAttribute('aria-label', `Preview README of ${repo.name}`);
+
+        const previewIcon = document.createElement('i');
+        previewIcon.className = 'fas fa-book-open';
+        previewIcon.setAttribute('aria-hidden', 'true');
+        previewButton.appendChild(previewIcon);
+        previewButton.appendChild(document.createTextNode(' Preview'));
+
+        previewButton.addEventListener('click', () => {
+            this.readmePreview.open(repo, previewButton);
+        });
+
+        footer.appendChild(previewButton);
+    }
+
+    /**
+     * Add a "Compare" checkbox that puts the repo in the comparison tray
+     */
+    appendCompareToggle(footer, repo) {
+        if (!this.repoComparison) return;
+
+        const label = document.createElement('label');
+        label.className = 'repo-compare';
+
+        const checkbox = document.createElement('input');
+        checkbox.type = 'checkbox';
+        checkbox.className = 'repo-compare-checkbox';
+        checkbox.checked = this.repoComparison.isSelected(repo);
+        checkbox.setAttribute('aria-label', `Compare ${repo.name}`);
+        checkbox.addEventListener('change', () => {
+            // Refused when the tray is full; the tray explains why
+            if (!this.repoComparison.toggle(repo, checkbox.checked)) {
+                checkbox.checked = false;
+            }
+        });
+
+        label.appendChild(checkbox);
+        label.appendChild(document.createTextNode(' Compare'));
+        footer.appendChild(label);
+    }
+
+    /**
+     * Add a heart button that marks the repo as a favorite
+     */
+    appendFavoriteToggle(footer, repo) {
+        if (!this.preferenceManager) return;
+
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = 'favorite-toggle';
+        button.setAttribute('aria-label', `Favorite ${repo.name}`);
+
+        const icon = document.createElement('i');
+        icon.className = 'fas fa-heart';
+        icon.setAttribute('aria-hidden', 'true');
+        button.appendChild(icon);
+
+        this.updateFavoriteToggle(button, this.isFavorite(repo));
+        button.addEventListener('click', () => this.toggleFavorite(repo));
+        footer.appendChild(button);
+    }
+
+    /**
+     * Show whether a favorite toggle is on
+     */
+    updateFavoriteToggle(button, favorite) {
+        button.setAttribute('aria-pressed', String(favorite));
+        button.title = favorite ? 'Remove from favorites' : 'Add to favorites';
+    }
+
+    /**
+     * Keep card checkboxes in sync when repos leave the comparison from the tray
+     */
+    handleComparisonChange({ repo, selected }) {
+        const entry = this.cardCache.get(this.getRepoKey(repo));
+        const checkbox = entry?.card.querySelector('.repo-compare-checkbox');
+
+        if (checkbox) {
+            checkbox.checked = selected;
+        }
+    }
+
+    /**
+     * Load a card's language breakdown, commit activity and latest release once it scrolls into view
+     * Cards that already have their details (or are fetching them) are left alone
+     */
+    observeRepoDetails(entry) {
+        if (!this.gitHubAPI || entry.state !== 'idle') return;
+
+        const repoCard = entry.card.querySelector('.repo-card');
+        const { repo } = entry;
+
+        const load = () => {
+            const controller = new AbortController();
+            const { signal } = controller;
+            entry.state = 'loading';
+            entry.controller = controller;
+
+            Promise.all([
+                this.loadRepoLanguages(repoCard, repo, signal),
+                this.loadRepoActivity(repoCard, repo, signal),
+                this.loadRepoRelease(repoCard.querySelector('.repo-release'), repo, signal),
+                this.loadForkParent(repoCard, repo, signal)
+            ]).then(() => {
+                // Cancelled meanwhile; the card loads again when it is shown again
+                if (entry.controller !== controller) return;
+
+                entry.controller = null;
+                entry.state = 'loaded';
+            });
+        };
+
+        if (this.lazyLoader) {
+            entry.state = 'observing';
+            this.lazyLoader.observeVisibility(repoCard, load);
+        } else {
+            load();
+        }
+    }
+
+    /**
+     * Create the fork / archived / template badges for a repo, or null when it has none
+     */
+    createStatusBadges(repo) {
+        const badges = [];
+
+        if (repo.fork) {
+            badges.push(this.createStatusBadge('fork', 'fas fa-code-branch', 'Fork', 'Forked from another repository'));
+        }
+        if (repo.archived) {
+            badges.push(this.createStatusBadge('archived', 'fas fa-box-archive', 'Archived', 'Read-only and no longer maintained'));
+        }
+        if (repo.is_template) {
+            badges.push(this.createStatusBadge('template', 'fas fa-clone', 'Template', 'Can be used to start new repositories'));
+        }
+
+        if (badges.length === 0) return null;
+
+        const container = document.createElement('div');
+        container.className = 'repo-status-badges';
+        badges.forEach(badge => container.appendChild(badge));
+        return container;
+    }
+
+    /**
+     * Create a single status badge
+     */
+    createStatusBadge(type, iconClass, text, title) {
+        const badge = document.createElement('span');
+        badge.className = `repo-status-badge repo-status-${type}`;
+        badge.title = title;
+
+        const icon = document.createElement('i');
+        icon.className = iconClass;
+        icon.setAttribute('aria-hidden', 'true');
+
+        badge.appendChild(icon);
+        badge.appendChild(document.createTextNode(` ${text}`));
+        return badge;
+    }
+
+    /**
+     * Turn a fork badge into a link to the upstream repository
+     */
+    async loadForkParent(card, repo, signal) {
+        const badge = card.querySelector('.repo-status-fork');
+        if (!badge) return;
+
+        try {
+            const parent = await this.gitHubAPI.fetchForkParent(repo, { signal });
+            if (!parent) return;
+
+            const link = document.createElement('a');
+            link.href = parent.html_url;
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+            link.textContent = parent.full_name;
+
+            const icon = document.createElement('i');
+            icon.className = 'fas fa-code-branch';
+            icon.setAttribute('aria-hidden', 'true');
+
+            badge.removeAttribute('title');
+            badge.replaceChildren(icon, document.createTextNode(' Forked from '), link);
+        } catch (error) {
+            if (error.aborted) return;
+
+            // Not critical - the plain "Fork" badge stays
+            console.warn(`⚠️ Could not load the upstream of ${repo.name}:`, error);
+        }
+    }
+
+    /**
+     * Fetch and render the language breakdown of a card
+     */
+    async loadRepoLanguages(repoCard, repo, signal) {
+        const container = repoCard.querySelector('.repo-languages');
+        if (!container) return;
+
+        try {
+            const languages = await this.gitHubAPI.fetchLanguages(repo, { signal });
+            this.renderLanguageBreakdown(container, languages);
+        } catch (error) {
+            // Cancelled because the card was replaced
+            if (error.aborted) return;
+
+            // Not critical - the card still works without the breakdown
+            console.warn(`⚠️ Could not load languages for ${repo.name}:`, error);
+        }
+    }
+
+    /**
+     * Fetch and render the commit activity sparkline of a card
+     */
+    async loadRepoActivity(repoCard, repo, signal) {
+        const container = repoCard.querySelector('.repo-activity');
+        if (!container) return;
+
+        try {
+            const activity = await this.gitHubAPI.fetchCommitActivity(repo, { signal });
+            this.renderSparkline(container, activity.weeks);
+        } catch (error) {
+            if (error.aborted) return;
+
+            // Not critical - GitHub may still be computing statistics
+            console.warn(`⚠️ Could not load commit activity for ${repo.name}:`, error);
+        }
+    }
+
+    /**
+     * Fetch the latest release (or newest tag) and show it as a version badge
+     */
+    async loadRepoRelease(container, repo, signal) {
+        if (!container) return;
+
+        try {
+            const release = await this.gitHubAPI.fetchLatestRelease(repo, { signal });
+            if (release) {
+                this.renderReleaseBadge(container, release);
+            }
+        } catch (error) {
+            if (error.aborted) return;
+
+            // Not critical - the card still works without the badge
+            console.warn(`⚠️ Could not load latest release for ${repo.name}:`, error);
+        }
+    }
+
+    /**
+     * Render a version badge linking to the release notes, with a "released N days ago" hint
+     * SECURITY: Built with DOM methods - release names come from repository owners
+     */
+    renderReleaseBadge(container, release) {
+        const badge = document.createElement('a');
+        badge.className = `release-badge release-badge-${release.type}`;
+        badge.href = release.html_url;
+        badge.target = '_blank';
+        badge.rel = 'noopener noreferrer';
+
+        const tagIcon = document.createElement('i');
+        tagIcon.className = 'fas fa-tag';
+        tagIcon.setAttribute('aria-hidden', 'true');
+        badge.appendChild(tagIcon);
+        badge.appendChild(document.createTextNode(' ' + release.tag_name));
+
+        // The accessible name starts with the visible tag; the release title goes in the tooltip
+        const label = `Latest ${release.type} ${release.tag_name}`;
+        if (release.name && release.name !== release.tag_name) {
+            badge.title = release.name;
+        }
+
+        // The age is left out of the label: it is read right after the link and changes over time
+        badge.setAttribute('aria-label', label);
+        container.replaceChildren(badge);
+
+        // Tags don't carry a date without another request per repository
+        if (release.published_at) {
+            container.appendChild(this.relativeTime.create(release.published_at, { label: 'released', className: 'release-age' }));
+        }
+    }
+
+    /**
+     * Render weekly commit totals as an inline SVG sparkline
+     * The SVG is decorative; a visually hidden sentence describes the same data
+     */
+    renderSparkline(container, weeks, width = 104, height = 24) {
+        container.innerHTML = '';
+        if (!weeks || weeks.length === 0) return;
+
+        const total = weeks.reduce((sum, count) => sum + count, 0);
+        const recent = weeks.slice(-4).reduce((sum, count) => sum + count, 0);
+        const max = Math.max(...weeks, 1);
+        const step = weeks.length > 1 ? width / (weeks.length - 1) : width;
+
+        // Keep a 1px margin so the stroke isn't clipped at the edges
+        const points = weeks
+            .map((count, index) => {
+                const x = (index * step).toFixed(1);
+                const y = (height - 1 - (count / max) * (height - 2)).toFixed(1);
+                return `${x},${y}`;
+            })
+            .join(' ');
+
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const svg = document.createElementNS(svgNS, 'svg');
+        svg.setAttribute('class', 'sparkline');
+        svg.setAttribute('viewBox', `0 0 ${width} ${height}`);
+        svg.setAttribute('preserveAspectRatio', 'none');
+        svg.setAttribute('aria-hidden', 'true');
+        svg.setAttribute('focusable', 'false');
+
+        const area = document.createElementNS(svgNS, 'polygon');
+        area.setAttribute('class', 'sparkline-area');
+        area.setAttribute('points', `0,${height} ${points} ${width},${height}`);
+
+        const line = document.createElementNS(svgNS, 'polyline');
+        line.setAttribute('class', 'sparkline-line');
+        line.setAttribute('points', points);
+
+        svg.appendChild(area);
+        svg.appendChild(line);
+
+        const description = total === 0
+            ? 'No commits in the last year.'
+            : `${total} commit${total === 1 ? '' : 's'} in the last year, ${recent} in the last 4 weeks.`;
+
+        const label = document.createElement('span');
+        label.className = 'sr-only';
+        label.textContent = `Commit activity: ${description}`;
+
+        container.title = description;
+        container.appendChild(svg);
+        container.appendChild(label);
+    }
+
+    /**
+     * Cancel a card's pending detail loading when it leaves the grid
+     */
+    cancelCardWork(entry) {
+        if (entry.state === 'observing') {
+            this.lazyLoader?.unobserve(entry.card.querySelector('.repo-card'));
+        }
+
+        entry.controller?.abort();
+        entry.controller = null;
+
+        if (entry.state !== 'loaded') {
+            entry.state = 'idle';
+        }
+    }
+
+    /**
+     * Render a GitHub-style stacked language bar with a percentage list
+     */
+    renderLanguageBreakdown(container, languages, maxLanguages = 4) {
+        const entries = Object.entries(languages || {}).sort((a, b) => b[1] - a[1]);
+        const total = entries.reduce((sum, [, bytes]) => sum + bytes, 0);
+
+        container.innerHTML = '';
+        if (total === 0) return;
+
+        // Fold the long tail into "Other" to keep cards compact
+        const shown = entries.slice(0, maxLanguages);
+        const otherBytes = entries.slice(maxLanguages).reduce((sum, [, bytes]) => sum + bytes, 0);
+        if (otherBytes > 0) {
+            shown.push(['Other', otherBytes]);
+        }
+
+        // The bar is decorative; the list below carries the same information
+        const bar = document.createElement('div');
+        bar.className = 'language-bar';
+        bar.setAttribute('aria-hidden', 'true');
+
+        const list = document.createElement('ul');
+        list.className = 'language-list';
+        list.setAttribute('aria-label', 'Language breakdown');
+
+        shown.forEach(([language, bytes]) => {
+            const percentage = (bytes / total) * 100;
+            const color = language === 'Other' ? 'var(--muted-text)' : getLanguageColor(language);
+
+            const segment = document.createElement('span');
+            segment.className = 'language-bar-segment';
+            segment.style.width = `${percentage}%`;
+            segment.style.backgroundColor = color;
+            segment.title = `${language} ${percentage.toFixed(1)}%`;
+            bar.appendChild(segment);
+
+            const item = document.createElement('li');
+
+            const dot = document.createElement('span');
+            dot.className = 'language-dot';
+            dot.style.backgroundColor = color;
+            dot.setAttribute('aria-hidden', 'true');
+
+            const name = document.createElement('span');
+            name.className = 'language-name';
+            name.textContent = language;
+
+            const value = document.createElement('span');
+            value.className = 'language-percentage';
+            value.textContent = `${percentage < 0.1 ? '<0.1' : percentage.toFixed(1)}%`;
+
+            item.appendChild(dot);
+            item.appendChild(name);
+            item.appendChild(value);
+            list.appendChild(item);
+        });
+
+        container.appendChild(bar);
+        container.appendChild(list);
+    }
+
+    /**
+     * Get the name shown on a card, prefixed with the owner when repos come from several accounts
+     */
+    getDisplayName(repo) {
+        return this.showOwner && repo.full_name ? repo.full_name : repo.name;
+    }
+
+    /**
+     * Get a key identifying a repo across sources
+     */
+    getRepoKey(repo) {
+        return repo.full_name || repo.name;
+    }
+
     /**
      * Show button to load repos without descriptions
      */
@@ -566,50 +2493,80 @@ export class GitHubRenderer {
         btn.textContent = `Load repos without description (${this.reposWithoutDesc.length})`;
         btn.className = 'btn btn-secondary my-3 load-more-btn';
         btn.addEventListener('click', () => {
-            this.appendRepos(this.reposWithoutDesc);
+            // They join the filtered, sorted and paged list from now on
+            this.includeReposWithoutDesc = true;
             btn.remove();
+            this.applyFilters();
         });
 
         repoContainer.parentElement.insertBefore(btn, repoContainer.nextSibling);
     }
 
     /**
-     * Append additional repositories
+     * Show an informational notice above the repository grid
      */
-    appendRepos(repos) {
+    showStatusNotice(message) {
         const repoContainer = document.getElementById(this.options.containerId);
         if (!repoContainer) return;
 
-        repos.forEach(repo => {
-            const card = this.createRepoCard(repo);
-            repoContainer.appendChild(card);
-        });
+        let notice = document.getElementById(this.options.statusNoticeId);
+        if (!notice) {
+            notice = document.createElement('div');
+            notice.id = this.options.statusNoticeId;
+            notice.className = 'alert alert-info repo-status-notice';
+            notice.setAttribute('role', 'status');
+            repoContainer.parentElement.insertBefore(notice, repoContainer);
+        }
+
+        // SECURITY: Using DOM methods instead of innerHTML to prevent XSS
+        notice.textContent = '';
+        const icon = document.createElement('i');
+        icon.className = 'fas fa-info-circle';
+        icon.setAttribute('aria-hidden', 'true');
+
+        notice.appendChild(icon);
+        notice.appendChild(document.createTextNode(' ' + message));
     }
 
     /**
-     * Sort repositories by selected criteria
+     * Remove the status notice
+     */
+    hideStatusNotice() {
+        const notice = document.getElementById(this.options.statusNoticeId);
+        if (notice) notice.remove();
+    }
+
+    /**
+     * Sort repositories by selected criteria, favorites first when that preference is on
      */
     sortRepos(repos) {
-        return this.sortReposList(repos);
+        const sorted = this.sortReposList(repos);
+        if (!this.favoritesFirst) return sorted;
+
+        return [
+            ...sorted.filter(repo => this.isFavorite(repo)),
+            ...sorted.filter(repo => !this.isFavorite(repo))
+        ];
     }
 
     /**
-     * Sort a list of repositories by selected criteria
+     * Sort a list of repositories by the selected key and direction
+     * Ties fall back to the name, then the owner, so the order never depends on fetch order
      */
     sortReposList(repos) {
-        const sortSelect = document.getElementById(this.options.sortSelectId);
-        const sortType = sortSelect ? sortSelect.value : 'updated';
-
-        return [...repos].sort((a, b) => {
-            if (sortType === 'name') {
-                return a.name.localeCompare(b.name);
-            } else if (sortType === 'updated') {
-                return new Date(b.updated_at) - new Date(a.updated_at);
-            } else if (sortType === 'stars') {
-                return (b.stargazers_count || 0) - (a.stargazers_count || 0);
-            }
-            return 0;
-        });
+        const field = SORT_FIELDS[this.getSortKey()];
+        if (!field) return [...repos];
+
+        const factor = this.sortDirection === 'descending' ? -1 : 1;
+        const compare = (first, second) => typeof first === 'string'
+            ? first.localeCompare(second, undefined, { sensitivity: 'base' })
+            : first - second;
+
+        return [...repos].sort((a, b) =>
+            factor * compare(field.value(a), field.value(b)) ||
+            compare(a.name, b.name) ||
+            compare(a.full_name || '', b.full_name || '')
+        );
     }
 
     /**
@@ -637,6 +2594,30 @@ export class GitHubRenderer {
      * Cleanup
      */
     destroy() {
+        this.featuredRequests.abort();
+        this.stopAutoplay();
+        this.removeFeaturedSwipe?.();
+        window.removeEventListener('popstate', this.handleUrlStateChange);
+        this.preferenceManager?.off('reducedMotion', this.handleReducedMotion);
+        this.preferenceManager?.off('repoView', this.handleViewModeChange);
+        this.preferenceManager?.off('favoriteRepos', this.handleFavoritesChange);
+        this.preferenceManager?.off('favoritesFirst', this.handleFavoritesFirstChange);
+        this.repoComparison?.eventManager.off('change', this.handleComparisonChange);
+
+        const container = document.getElementById(this.options.featuredContainerId);
+        if (container) {
+            container.removeEventListener('mouseenter', this.handleCarouselPointerEnter);
+            container.removeEventListener('mouseleave', this.handleCarouselPointerLeave);
+            container.removeEventListener('focusin', this.handleCarouselFocusIn);
+            container.removeEventListener('focusout', this.handleCarouselFocusOut);
+        }
+        this.cardCache.forEach(entry => this.cancelCardWork(entry));
+        this.cardCache.clear();
+        if (this.sentinel) {
+            this.lazyLoader?.unobserve(this.sentinel);
+            this.sentinel.remove();
+            this.sentinel = null;
+        }
         this.eventManager.removeAllListeners();
         this.featuredRepos = [];
         this.allRepos = [];
@@ -120,6 +120,11 @@ export class KeyboardShortcuts {
      * Handle keyboard events
      */
     handleKeyDown(event) {
+        // Open dialogs must stay escapable even with shortcuts turned off
+        if (this.handleModalKeys(event)) {
+            return;
+        }
+
         if (!this.enabled) {
             return;
         }
@@ -137,6 +142,65 @@ export class KeyboardShortcuts {
         }
     }
 
+    /**
+     * Trap Tab and handle Escape while a modal is open
+     * Returns true when the event was handled
+     */
+    handleModalKeys(event) {
+        const modal = document.querySelector('.modal.show');
+        if (!modal) {
+            return false;
+        }
+
+        if (event.key === 'Escape') {
+            event.preventDefault();
+            this.closeModal();
+            return true;
+        }
+
+        if (event.key === 'Tab') {
+            this.trapFocus(event, modal);
+            return true;
+        }
+
+        return false;
+    }
+
+    /**
+     * Keep Tab / Shift+Tab focus cycling inside a container
+     */
+    trapFocus(event, container) {
+        const focusableElements = Array.from(container.querySelectorAll(`
+            button:not([disabled]),
+            a[href],
+            input:not([disabled]),
+            select:not([disabled]),
+            textarea:not([disabled]),
+            [tabindex]:not([tabindex="-1"])
+        `));
+
+        if (focusableElements.length === 0) {
+            event.preventDefault();
+            return;
+        }
+
+        const firstElement = focusableElements[0];
+        const lastElement = focusableElements[focusableElements.length - 1];
+
+        if (!container.contains(document.activeElement)) {
+            event.preventDefault();
+            firstElement.focus();
+        } else if (event.shiftKey) {
+            if (document.activeElement === firstElement) {
+                event.preventDefault();
+                lastElement.focus();
+            }
+        } else if (document.activeElement === lastElement) {
+            event.preventDefault();
+            firstElement.focus();
+        }
+    }
+
     /**
      * Get normalized key string
      */
@@ -242,12 +306,11 @@ export class KeyboardShortcuts {
      * Close modal or dropdown
      */
     closeModal() {
-
-        
-        // Close any open modals
+        // Close any open modals and let their owners restore focus
         const modals = document.querySelectorAll('.modal.show');
         modals.forEach(modal => {
             modal.classList.remove('show');
+            modal.dispatchEvent(new CustomEvent('modalclose'));
         });
     }
 
@@ -0,0 +1,50 @@
+/**
+ * @file Language Colors
+ * @description GitHub linguist colors for common languages, with a stable fallback
+ */
+
+export const LANGUAGE_COLORS = {
+    'JavaScript': '#f1e05a',
+    'TypeScript': '#3178c6',
+    'HTML': '#e34c26',
+    'CSS': '#563d7c',
+    'SCSS': '#c6538c',
+    'Python': '#3572A5',
+    'PHP': '#4F5D95',
+    'Java': '#b07219',
+    'C': '#555555',
+    'C++': '#f34b7d',
+    'C#': '#178600',
+    'Go': '#00ADD8',
+    'Rust': '#dea584',
+    'Ruby': '#701516',
+    'Shell': '#89e051',
+    'PowerShell': '#012456',
+    'Dockerfile': '#384d54',
+    'Vue': '#41b883',
+    'Svelte': '#ff3e00',
+    'Kotlin': '#A97BFF',
+    'Swift': '#F05138',
+    'Dart': '#00B4AB',
+    'Lua': '#000080',
+    'Makefile': '#427819',
+    'Jupyter Notebook': '#DA5B0B',
+    'EJS': '#a91e50',
+    'Handlebars': '#f7931e',
+    'Batchfile': '#C1F12E'
+};
+
+/**
+ * Get the color for a language, deriving a stable hue for unknown languages
+ */
+export function getLanguageColor(language) {
+    if (LANGUAGE_COLORS[language]) {
+        return LANGUAGE_COLORS[language];
+    }
+
+    let hash = 0;
+    for (const char of String(language)) {
+        hash = (hash * 31 + char.charCodeAt(0)) % 360;
+    }
+    return `hsl(${hash}, 55%, 55%)`;
+}
@@ -0,0 +1,433 @@
+/**
+ * LanguageStats Module
+ * Renders the "By the code" panel in the skills section: the languages of the
+ * owner's repositories, summed by bytes of code, as an SVG donut chart with a
+ * data table fallback
+ *
+ * app.js hands over the repository list once it has loaded; the per-repository
+ * language requests only start when the skills section scrolls into view.
+ */
+
+import { getLanguageColor } from './LanguageColors.js';
+
+// Donut geometry: a circumference of 100 lets dash lengths be percentages
+const DONUT_RADIUS = 100 / (2 * Math.PI);
+const DONUT_SIZE = 42;
+const DONUT_STROKE = 7;
+
+/**
+ * Sum per-repository language byte counts
+ * Returns languages sorted by size, with shares in percent and the number of
+ * repositories using each; everything past maxLanguages is folded into "Other"
+ */
+export function aggregateLanguages(languageMaps, { maxLanguages = 6, excludeLanguages = [] } = {}) {
+    const totals = new Map();
+
+    languageMaps.forEach(languages => {
+        Object.entries(languages || {}).forEach(([name, bytes]) => {
+            if (excludeLanguages.includes(name) || !(bytes > 0)) return;
+
+            const entry = totals.get(name) || { name, bytes: 0, repos: 0 };
+            entry.bytes += bytes;
+            entry.repos += 1;
+            totals.set(name, entry);
+        });
+    });
+
+    const total = [...totals.values()].reduce((sum, entry) => sum + entry.bytes, 0);
+    const sorted = [...totals.values()].sort((a, b) => b.bytes - a.bytes || a.name.localeCompare(b.name));
+
+    // Folding a single language into "Other" would only hide its name
+    const shown = sorted.length > maxLanguages + 1 ? sorted.slice(0, maxLanguages) : sorted;
+    const rest = sorted.slice(shown.length);
+
+    if (rest.length > 0) {
+        shown.push({
+            name: 'Other',
+            bytes: rest.reduce((sum, entry) => sum + entry.bytes, 0),
+            repos: null,
+            other: rest.map(entry => entry.name)
+        });
+    }
+
+    return {
+        total,
+        languages: shown.map(entry => ({ ...entry, share: total > 0 ? (entry.bytes / total) * 100 : 0 }))
+    };
+}
+
+export class LanguageStats {
+    constructor(gitHubAPI, { lazyLoader = null, themeManager = null, ...options } = {}) {
+        this.gitHubAPI = gitHubAPI;
+        this.lazyLoader = lazyLoader;
+        this.themeManager = themeManager;
+        this.options = {
+            enabled: true,
+            sectionId: 'skills-section',
+            panelId: 'language-stats',
+            chartId: 'language-stats-chart',
+            maxRepos: 30,
+            maxLanguages: 6,
+            excludeLanguages: [],
+            ...options
+        };
+        this.repos = null;
+        this.visible = false;
+        this.stats = null;
+        this.loading = false;
+        this.abortController = new AbortController();
+        this.initialized = false;
+
+        this.handleThemeChange = this.handleThemeChange.bind(this);
+    }
+
+    /**
+     * Initialize the language panel
+     * Nothing is fetched until the skills section is visible and the repos are known
+     */
+    initialize() {
+        if (this.initialized || !this.options.enabled) return;
+
+        const section = document.getElementById(this.options.sectionId);
+        if (!section || !document.getElementById(this.options.panelId)) return;
+
+        const reveal = () => {
+            this.visible = true;
+            this.load();
+        };
+
+        if (this.lazyLoader) {
+            this.lazyLoader.observeVisibility(section, reveal);
+        } else {
+            reveal();
+        }
+
+        document.addEventListener('themechange', this.handleThemeChange);
+        this.initialized = true;
+    }
+
+    /**
+     * Provide the repository list (called by app.js once it has loaded)
+     */
+    setRepos(repos) {
+        this.repos = repos;
+        this.load();
+    }
+
+    /**
+     * Fetch the languages of the counted repositories and render the chart
+     * The panel stays hidden when no language data could be loaded
+     */
+    async load() {
+        if (!this.initialized || !this.visible || !this.repos || this.loading || this.stats) return;
+        this.loading = true;
+
+        const { signal } = this.abortController;
+        const repos = this.selectRepos(this.repos);
+
+        try {
+            const results = await Promise.allSettled(
+                repos.map(repo => this.gitHubAPI.fetchLanguages(repo, { signal }))
+            );
+            if (signal.aborted) return;
+
+            const failed = results.filter(result => result.status === 'rejected');
+            if (failed.length > 0) {
+                // A partial chart is still worth showing; the console has the details
+                console.warn(`⚠️ Languages of ${failed.length} of ${repos.length} repositories could not be loaded:`, failed[0].reason);
+            }
+
+            const languageMaps = results
+                .filter(result => result.status === 'fulfilled')
+                .map(result => result.value);
+
+            const stats = aggregateLanguages(languageMaps, this.options);
+            if (stats.total === 0) return;
+
+            this.stats = { ...stats, repoCount: languageMaps.length };
+            this.render();
+        } finally {
+            this.loading = false;
+        }
+    }
+
+    /**
+     * Pick the repositories to count: the owner's own work, most recently pushed first
+     */
+    selectRepos(repos) {
+        return repos
+            .filter(repo => !repo.fork)
+            .sort((a, b) => new Date(b.pushed_at || b.updated_at) - new Date(a.pushed_at || a.updated_at))
+            .slice(0, this.options.maxRepos);
+    }
+
+    /**
+     * Render the donut, its legend and the data table
+     * SECURITY: Built with DOM methods - language names come from GitHub
+     */
+    render() {
+        const panel = document.getElementById(this.options.panelId);
+        const chart = document.getElementById(this.options.chartId);
+        if (!panel || !chart || !this.stats) return;
+
+        const colors = this.getColors();
+        // Keep the table open across theme changes
+        const tableOpen = chart.querySelector('details')?.open || false;
+
+        const figure = document.createElement('figure');
+        figure.className = 'language-stats-figure';
+
+        figure.appendChild(this.createDonut(colors));
+        figure.appendChild(this.createLegend(colors));
+
+        const caption = document.createElement('figcaption');
+        caption.className = 'language-stats-caption';
+        const { repoCount } = this.stats;
+        caption.textContent = `Share of code across ${repoCount} repositor${repoCount === 1 ? 'y' : 'ies'}, by bytes as measured by GitHub.`;
+        figure.appendChild(caption);
+
+        const table = this.createTable();
+        table.open = tableOpen;
+
+        chart.replaceChildren(figure, table);
+        panel.hidden = false;
+    }
+
+    /**
+     * Create the donut chart; its title summarizes the data for screen readers
+     */
+    createDonut(colors) {
+        const svgNS = 'http://www.w3.org/2000/svg';
+        const center = DONUT_SIZE / 2;
+
+        const svg = document.createElementNS(svgNS, 'svg');
+        svg.setAttribute('class', 'language-donut');
+        svg.setAttribute('viewBox', `0 0 ${DONUT_SIZE} ${DONUT_SIZE}`);
+        svg.setAttribute('role', 'img');
+        svg.setAttribute('aria-labelledby', `${this.options.chartId}-title`);
+
+        const title = document.createElementNS(svgNS, 'title');
+        title.id = `${this.options.chartId}-title`;
+        title.textContent = 'Languages by share of code: ' + this.stats.languages
+            .map(language => `${language.name} ${this.formatShare(language.share)}`)
+            .join(', ');
+        svg.appendChild(title);
+
+        const createRing = (color) => {
+            const circle = document.createElementNS(svgNS, 'circle');
+            circle.setAttribute('cx', center);
+            circle.setAttribute('cy', center);
+            circle.setAttribute('r', DONUT_RADIUS.toFixed(4));
+            circle.setAttribute('fill', 'none');
+            circle.setAttribute('stroke', color);
+            circle.setAttribute('stroke-width', DONUT_STROKE);
+            return circle;
+        };
+
+        // Segments start at 12 o'clock and run clockwise; dashes are percentages
+        let offset = 25;
+        this.stats.languages.forEach(language => {
+            const segment = createRing(colors.get(language.name));
+            segment.setAttribute('class', 'language-donut-segment');
+            segment.setAttribute('stroke-dasharray', `${language.share.toFixed(3)} ${(100 - language.share).toFixed(3)}`);
+            segment.setAttribute('stroke-dashoffset', offset.toFixed(3));
+            svg.appendChild(segment);
+            offset -= language.share;
+        });
+
+        return svg;
+    }
+
+    /**
+     * Create the color legend; hidden from screen readers, which get the title and table
+     */
+    createLegend(colors) {
+        const legend = document.createElement('ul');
+        legend.className = 'language-stats-legend';
+        legend.setAttribute('aria-hidden', 'true');
+
+        this.stats.languages.forEach(language => {
+            const item = document.createElement('li');
+
+            const swatch = document.createElement('span');
+            swatch.className = 'language-dot';
+            swatch.style.backgroundColor = colors.get(language.name);
+
+            const name = document.createElement('span');
+            name.className = 'language-stats-name';
+            name.textContent = language.name;
+
+            const share = document.createElement('span');
+            share.className = 'language-stats-share';
+            share.textContent = this.formatShare(language.share);
+
+            item.appendChild(swatch);
+            item.appendChild(name);
+            item.appendChild(share);
+            legend.appendChild(item);
+        });
+
+        return legend;
+    }
+
+    /**
+     * Create the data table behind a disclosure
+     */
+    createTable() {
+        const details = document.createElement('details');
+        details.className = 'language-stats-details';
+
+        const summary = document.createElement('summary');
+        summary.textContent = 'Show the data as a table';
+
+        const table = document.createElement('table');
+        table.className = 'language-stats-table';
+
+        const caption = document.createElement('caption');
+        caption.className = 'sr-only';
+        caption.textContent = 'Languages by share of code';
+
+        const headRow = document.createElement('tr');
+        ['Language', 'Share', 'Size', 'Repositories'].forEach((label, index) => {
+            const th = document.createElement('th');
+            th.scope = 'col';
+            if (index > 0) th.className = 'numeric';
+            th.textContent = label;
+            headRow.appendChild(th);
+        });
+
+        const thead = document.createElement('thead');
+        thead.appendChild(headRow);
+
+        const tbody = document.createElement('tbody');
+        this.stats.languages.forEach(language => {
+            const row = document.createElement('tr');
+
+            const name = document.createElement('th');
+            name.scope = 'row';
+            name.textContent = language.name;
+            if (language.other) {
+                name.title = language.other.join(', ');
+            }
+
+            const cells = [
+                this.formatShare(language.share),
+                this.formatBytes(language.bytes),
+                language.repos === null ? '—' : String(language.repos)
+            ].map(text => {
+                const td = document.createElement('td');
+                td.className = 'numeric';
+                td.textContent = text;
+                return td;
+            });
+
+            row.appendChild(name);
+            cells.forEach(td => row.appendChild(td));
+            tbody.appendChild(row);
+        });
+
+        table.appendChild(caption);
+        table.appendChild(thead);
+        table.appendChild(tbody);
+        details.appendChild(summary);
+        details.appendChild(table);
+        return details;
+    }
+
+    /**
+     * Pick a color per language that stands out from the current theme's background
+     * GitHub's language colors include near-black and pale yellow, so those are
+     * mixed towards the theme's text color until they reach 3:1 contrast
+     */
+    getColors() {
+        const theme = this.themeManager?.getThemeColors();
+        const background = this.parseHex(theme?.background);
+        const text = this.parseHex(theme?.text);
+        const colors = new Map();
+
+        this.stats.languages.forEach(language => {
+            const color = language.other ? (theme?.secondaryText || '#8b8b8b') : getLanguageColor(language.name);
+            const rgb = this.parseHex(color);
+
+            if (!rgb || !background || !text) {
+                colors.set(language.name, color);
+                return;
+            }
+
+            let adjusted = rgb;
+            for (let amount = 0.1; this.contrast(adjusted, background) < 3 && amount <= 0.6; amount += 0.1) {
+                adjusted = rgb.map((channel, index) => Math.round(channel + (text[index] - channel) * amount));
+            }
+
+            colors.set(language.name, `rgb(${adjusted.join(', ')})`);
+        });
+
+        return colors;
+    }
+
+    /**
+     * Parse #rgb / #rrggbb into [r, g, b], or null
+     */
+    parseHex(color) {
+        const match = /^#([\da-f]{3}|[\da-f]{6})$/i.exec(color || '');
+        if (!match) return null;
+
+        const hex = match[1].length === 3 ? [...match[1]].map(digit => digit + digit).join('') : match[1];
+        return [0, 2, 4].map(index => parseInt(hex.slice(index, index + 2), 16));
+    }
+
+    /**
+     * WCAG contrast ratio between two [r, g, b] colors
+     */
+    contrast(a, b) {
+        const luminance = (rgb) => {
+            const [r, g, b] = rgb.map(channel => {
+                const value = channel / 255;
+                return value <= 0.03928 ? value / 12.92 : Math.pow((value + 0.055) / 1.055, 2.4);
+            });
+            return 0.2126 * r + 0.7152 * g + 0.0722 * b;
+        };
+
+        const [light, dark] = [luminance(a), luminance(b)].sort((x, y) => y - x);
+        return (light + 0.05) / (dark + 0.05);
+    }
+
+    /**
+     * Format a percentage share
+     */
+    formatShare(share) {
+        return share < 1 ? '<1%' : `${Math.round(share)}%`;
+    }
+
+    /**
+     * Format a byte count
+     */
+    formatBytes(bytes) {
+        if (bytes < 1024) return `${bytes} B`;
+        if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+        return `${(bytes / (1024 * 1024)).toFixed(1)} MB`;
+    }
+
+    /**
+     * Redraw with the new theme's colors
+     */
+    handleThemeChange() {
+        if (this.stats) {
+            this.render();
+        }
+    }
+
+    /**
+     * Cleanup
+     */
+    destroy() {
+        this.abortController.abort();
+        document.removeEventListener('themechange', this.handleThemeChange);
+
+        const section = document.getElementById(this.options.sectionId);
+        if (section && this.lazyLoader) {
+            this.lazyLoader.unobserve(section);
+        }
+        this.initialized = false;
+    }
+}
@@ -1,12 +1,15 @@
 /**
  * LazyLoader Module
- * Handles image lazy loading with Intersection Observer
+ * Handles image lazy loading with Intersection Observer,
+ * and lazy work for other elements once they scroll into view
  */
 
 export class LazyLoader {
     constructor() {
         this.imageObserver = null;
         this.pictureObserver = null;
+        this.visibilityObserver = null;
+        this.visibilityCallbacks = new WeakMap();
         this.initialized = false;
         
         // Observer options
@@ -51,6 +54,15 @@ export class LazyLoader {
                 }
             });
         }, this.observerOptions);
+
+        // Visibility observer for arbitrary elements (see observeVisibility)
+        this.visibilityObserver = new IntersectionObserver((entries, observer) => {
+            entries.forEach(entry => {
+                if (entry.isIntersecting) {
+                    this.runVisibilityCallback(entry.target, observer);
+                }
+            });
+        }, this.observerOptions);
     }
 
     /**
@@ -155,6 +167,35 @@ export class LazyLoader {
         }
     }
 
+    /**
+     * Run a callback once when an element first scrolls into view
+     * Runs immediately if observers are unavailable
+     */
+    observeVisibility(element, callback) {
+        if (!this.visibilityObserver) {
+            callback(element);
+            return;
+        }
+
+        this.visibilityCallbacks.set(element, callback);
+        this.visibilityObserver.observe(element);
+    }
+
+    /**
+     * Run and forget the visibility callback of an element
+     */
+    runVisibilityCallback(element, observer) {
+        const callback = this.visibilityCallbacks.get(element);
+        observer.unobserve(element);
+        this.visibilityCallbacks.delete(element);
+
+        try {
+            callback?.(element);
+        } catch (error) {
+            console.error('❌ Error in visibility callback:', error);
+        }
+    }
+
     /**
      * Remove element from observation
      */
@@ -163,6 +204,9 @@ export class LazyLoader {
             this.pictureObserver.unobserve(element);
         } else if (element.tagName === 'IMG' && this.imageObserver) {
             this.imageObserver.unobserve(element);
+        } else if (this.visibilityObserver) {
+            this.visibilityObserver.unobserve(element);
+            this.visibilityCallbacks.delete(element);
         }
     }
 
@@ -177,6 +221,10 @@ export class LazyLoader {
         if (this.pictureObserver) {
             this.pictureObserver.disconnect();
         }
+
+        if (this.visibilityObserver) {
+            this.visibilityObserver.disconnect();
+        }
         
         this.initialized = false;
     }
@@ -0,0 +1,481 @@
+/**
+ * MarkdownRenderer Module
+ * Renders a safe subset of GitHub-flavoured markdown straight to DOM nodes
+ *
+ * SECURITY: Nothing is ever assigned through innerHTML. Raw HTML in the
+ * source is dropped (only <br> and <img> are understood) and every URL is
+ * resolved against the README's location and checked against an allow-list
+ * of protocols before it reaches an href or src attribute.
+ */
+
+const LINK_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+const IMAGE_PROTOCOLS = ['https:'];
+
+const FENCE_PATTERN = /^\s{0,3}(`{3,}|~{3,})\s*([\w+-]*)/;
+const HEADING_PATTERN = /^\s{0,3}(#{1,6})\s+(.*?)\s*#*\s*$/;
+const RULE_PATTERN = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+const QUOTE_PATTERN = /^\s{0,3}>\s?/;
+const LIST_PATTERN = /^(\s*)([-*+]|\d{1,9}[.)])\s+(.*)$/;
+const TABLE_DIVIDER_PATTERN = /^\s*\|?\s*:?-+:?\s*(\|\s*:?-+:?\s*)*\|?\s*$/;
+const SETEXT_PATTERN = /^\s{0,3}(=+|-+)\s*$/;
+const HTML_BLOCK_PATTERN = /^\s{0,3}<\/?[a-zA-Z][^>]*>\s*$/;
+
+// Order matters: earlier alternatives win when two start at the same index
+const INLINE_PATTERN = new RegExp([
+    '\\\\([\\\\`*_{}\\[\\]()#+\\-.!|~<>])',                  // 1: escaped character
+    '(`+)([\\s\\S]+?)\\2',                                    // 2,3: code span
+    '!\\[([^\\][]*)\\]\\(\\s*<?([^\\s)>]+)>?(?:\\s+"[^"]*")?\\s*\\)', // 4,5: image
+    // Link text may hold images; its branches never match the same character, so a
+    // failed match can't backtrack through every way of splitting "![![![...".
+    // Alt text stops at "[" for the same reason (here and in the image pattern).
+    '\\[((?:!\\[[^\\][]*\\]\\([^)]*\\)|!(?!\\[)|[^\\]![])+)\\]\\(\\s*<?([^\\s)>]+)>?(?:\\s+"[^"]*")?\\s*\\)', // 6,7: link
+    '<(https?:\\/\\/[^\\s>]+)>',                              // 8: autolink
+    '(\\*\\*|__)(\\S|\\S[\\s\\S]*?\\S)\\9',                  // 9,10: strong
+    '(\\*|_)(\\S|\\S[\\s\\S]*?\\S)\\11(?![\\w*])',           // 11,12: emphasis
+    '~~(\\S|\\S[\\s\\S]*?\\S)~~',                            // 13: strikethrough
+    '<img\\b([^>]*)>',                                        // 14: HTML image
+    '<br\\s*\\/?>',                                           // line break
+    '<\\/?[a-zA-Z][^>]*>',                                    // any other tag (dropped)
+    '(https?:\\/\\/[^\\s<]*[^\\s<.,;:!?)\'"])'                 // 15: bare URL
+].join('|'), 'g');
+
+/**
+ * Render markdown into a DocumentFragment
+ * linkBase resolves relative links (the README's page on github.com),
+ * imageBase resolves relative images (the README's raw download URL) and
+ * path (the README's path in the repository) locates the repository root
+ * for links starting with "/"
+ */
+export function renderMarkdown(markdown, { linkBase = null, imageBase = null, path = '' } = {}) {
+    const context = {
+        linkBase,
+        imageBase: imageBase || linkBase,
+        path
+    };
+    const source = String(markdown || '')
+        .replace(/\r\n?/g, '\n')
+        .replace(/<!--[\s\S]*?-->/g, '')
+        .replace(/<(script|style)\b[\s\S]*?<\/\1\s*>/gi, '');
+
+    const fragment = document.createDocumentFragment();
+    renderBlocks(source.split('\n'), fragment, context);
+    return fragment;
+}
+
+/**
+ * Resolve a URL and return it only if its protocol is allowed
+ * Root-relative URLs ("/docs/a.png") resolve against the repository root,
+ * found by dropping the README's own path from the base URL
+ */
+export function resolveSafeUrl(url, base, protocols = LINK_PROTOCOLS, path = '') {
+    try {
+        if (base && path && url.startsWith('/') && !url.startsWith('//') && base.endsWith(path)) {
+            base = base.slice(0, -path.length);
+            url = url.slice(1);
+        }
+
+        const resolved = base ? new URL(url, base) : new URL(url);
+        return protocols.includes(resolved.protocol) ? resolved.href : null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Render block-level elements (headings, lists, code, tables...) into a parent
+ */
+function renderBlocks(lines, parent, context) {
+    let index = 0;
+
+    while (index < lines.length) {
+        const line = lines[index];
+
+        if (line.trim() === '') {
+            index++;
+            continue;
+        }
+
+        const fence = line.match(FENCE_PATTERN);
+        if (fence) {
+            const codeLines = [];
+            index++;
+            while (index < lines.length && !lines[index].trim().startsWith(fence[1])) {
+                codeLines.push(lines[index]);
+                index++;
+            }
+            index++;
+
+            const pre = document.createElement('pre');
+            const code = document.createElement('code');
+            if (fence[2]) {
+                code.dataset.language = fence[2];
+            }
+            code.textContent = codeLines.join('\n');
+            pre.appendChild(code);
+            parent.appendChild(pre);
+            continue;
+        }
+
+        const heading = line.match(HEADING_PATTERN);
+        if (heading) {
+            parent.appendChild(createHeading(heading[1].length, heading[2], context));
+            index++;
+            continue;
+        }
+
+        if (RULE_PATTERN.test(line)) {
+            parent.appendChild(document.createElement('hr'));
+            index++;
+            continue;
+        }
+
+        if (QUOTE_PATTERN.test(line)) {
+            const quoteLines = [];
+            while (index < lines.length && QUOTE_PATTERN.test(lines[index])) {
+                quoteLines.push(lines[index].replace(QUOTE_PATTERN, ''));
+                index++;
+            }
+
+            const blockquote = document.createElement('blockquote');
+            renderBlocks(quoteLines, blockquote, context);
+            parent.appendChild(blockquote);
+            continue;
+        }
+
+        if (LIST_PATTERN.test(line)) {
+            index = renderList(lines, index, parent, context);
+            continue;
+        }
+
+        if (line.includes('|') && TABLE_DIVIDER_PATTERN.test(lines[index + 1] || '')) {
+            index = renderTable(lines, index, parent, context);
+            continue;
+        }
+
+        // Block-level raw HTML carries no text worth keeping
+        if (HTML_BLOCK_PATTERN.test(line) && !/<img\b/i.test(line)) {
+            index++;
+            continue;
+        }
+
+        const paragraphLines = [];
+        while (index < lines.length && lines[index].trim() !== '' && !startsBlock(lines, index)) {
+            paragraphLines.push(lines[index].replace(/^\s+/, ''));
+            index++;
+        }
+
+        // Setext heading: a paragraph line underlined with === or ---
+        if (paragraphLines.length > 0 && SETEXT_PATTERN.test(lines[index] || '') && lines[index].trim() !== '') {
+            const level = lines[index].trim().startsWith('=') ? 1 : 2;
+            parent.appendChild(createHeading(level, paragraphLines.join(' '), context));
+            index++;
+            continue;
+        }
+
+        if (paragraphLines.length === 0) {
+            // An underline without a paragraph above is a plain rule
+            index++;
+            continue;
+        }
+
+        const paragraph = document.createElement('p');
+        renderInline(paragraphLines.join('\n'), paragraph, context);
+        parent.appendChild(paragraph);
+    }
+}
+
+/**
+ * Whether a line interrupts a paragraph by starting another block
+ */
+function startsBlock(lines, index) {
+    const line = lines[index];
+    return FENCE_PATTERN.test(line) ||
+        HEADING_PATTERN.test(line) ||
+        QUOTE_PATTERN.test(line) ||
+        LIST_PATTERN.test(line) ||
+        (SETEXT_PATTERN.test(line) && index > 0) ||
+        (RULE_PATTERN.test(line) && !/^\s*-+\s*$/.test(line)) ||
+        (line.includes('|') && TABLE_DIVIDER_PATTERN.test(lines[index + 1] || ''));
+}
+
+/**
+ * README headings sit below the modal title, so levels are shifted down
+ */
+function createHeading(level, text, context) {
+    const heading = document.createElement(`h${Math.min(level + 2, 6)}`);
+    renderInline(text, heading, context);
+    return heading;
+}
+
+/**
+ * Render a (possibly nested) list starting at lines[start]
+ * Returns the index of the first line after the list
+ */
+function renderList(lines, start, parent, context) {
+    const first = lines[start].match(LIST_PATTERN);
+    const baseIndent = first[1].length;
+    const ordered = /\d/.test(first[2]);
+
+    const list = document.createElement(ordered ? 'ol' : 'ul');
+    if (ordered && parseInt(first[2], 10) !== 1) {
+        list.start = parseInt(first[2], 10);
+    }
+
+    let index = start;
+    let itemLines = null;
+
+    const flushItem = () => {
+        if (!itemLines) return;
+        const item = document.createElement('li');
+
+        // Task list checkboxes are shown as read-only state
+        const task = itemLines[0].match(/^\[([ xX])\]\s+/);
+        if (task) {
+            const checkbox = document.createElement('input');
+            checkbox.type = 'checkbox';
+            checkbox.disabled = true;
+            checkbox.checked = task[1] !== ' ';
+            item.appendChild(checkbox);
+            item.appendChild(document.createTextNode(' '));
+            itemLines[0] = itemLines[0].slice(task[0].length);
+        }
+
+        if (itemLines.length === 1 || !itemLines.slice(1).some(line => line.trim() !== '')) {
+            renderInline(itemLines[0], item, context);
+        } else {
+            renderBlocks(itemLines, item, context);
+            // Tight lists shouldn't gain paragraph spacing
+            const onlyParagraph = item.childElementCount === 1 && item.firstElementChild.tagName === 'P';
+            if (onlyParagraph) {
+                item.replaceChildren(...item.firstElementChild.childNodes);
+            }
+        }
+
+        list.appendChild(item);
+    };
+
+    while (index < lines.length) {
+        const line = lines[index];
+        const marker = line.match(LIST_PATTERN);
+
+        if (marker && marker[1].length <= baseIndent) {
+            if (/\d/.test(marker[2]) !== ordered) break;
+            flushItem();
+            itemLines = [marker[3]];
+            index++;
+            continue;
+        }
+
+        if (line.trim() === '') {
+            // A blank line ends the list unless the next line continues it
+            const next = lines[index + 1] || '';
+            const nextMarker = next.match(LIST_PATTERN);
+            const continues = nextMarker
+                ? nextMarker[1].length >= baseIndent
+                : /^\s+/.test(next) && next.search(/\S/) > baseIndent;
+            if (!continues) break;
+            itemLines.push('');
+            index++;
+            continue;
+        }
+
+        const indent = line.search(/\S/);
+        if (indent > baseIndent || (!startsBlock(lines, index) && !marker)) {
+            itemLines.push(line.slice(Math.min(indent, baseIndent + 2)));
+            index++;
+            continue;
+        }
+
+        break;
+    }
+
+    flushItem();
+    parent.appendChild(list);
+    return index;
+}
+
+/**
+ * Render a GitHub pipe table starting at lines[start]
+ * Returns the index of the first line after the table
+ */
+function renderTable(lines, start, parent, context) {
+    const splitRow = (line) => line
+        .trim()
+        .replace(/^\|/, '')
+        .replace(/\|$/, '')
+        .split(/(?<!\\)\|/)
+        .map(cell => cell.trim());
+
+    const alignments = splitRow(lines[start + 1]).map((cell) => {
+        if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+        if (cell.endsWith(':')) return 'right';
+        if (cell.startsWith(':')) return 'left';
+        return '';
+    });
+
+    const createRow = (cells, cellTag) => {
+        const row = document.createElement('tr');
+        alignments.forEach((alignment, column) => {
+            const cell = document.createElement(cellTag);
+            if (cellTag === 'th') {
+                cell.scope = 'col';
+            }
+            if (alignment) {
+                cell.style.textAlign = alignment;
+            }
+            renderInline(cells[column] || '', cell, context);
+            row.appendChild(cell);
+        });
+        return row;
+    };
+
+    const wrapper = document.createElement('div');
+    wrapper.className = 'table-responsive';
+
+    const table = document.createElement('table');
+    table.className = 'table table-sm';
+
+    const thead = document.createElement('thead');
+    thead.appendChild(createRow(splitRow(lines[start]), 'th'));
+    table.appendChild(thead);
+
+    const tbody = document.createElement('tbody');
+    let index = start + 2;
+    while (index < lines.length && lines[index].includes('|') && lines[index].trim() !== '') {
+        tbody.appendChild(createRow(splitRow(lines[index]), 'td'));
+        index++;
+    }
+    table.appendChild(tbody);
+
+    wrapper.appendChild(table);
+    parent.appendChild(wrapper);
+    return index;
+}
+
+/**
+ * Render inline markdown (emphasis, code, links, images) into a parent
+ */
+function renderInline(text, parent, context) {
+    let lastIndex = 0;
+    let match;
+
+    const pattern = new RegExp(INLINE_PATTERN.source, 'g');
+
+    while ((match = pattern.exec(text)) !== null) {
+        if (match.index > lastIndex) {
+            appendText(parent, text.slice(lastIndex, match.index));
+        }
+        lastIndex = pattern.lastIndex;
+
+        const [whole] = match;
+
+        if (match[1] !== undefined) {
+            appendText(parent, match[1]);
+        } else if (match[2] !== undefined) {
+            const code = document.createElement('code');
+            code.textContent = match[3].trim();
+            parent.appendChild(code);
+        } else if (match[5] !== undefined) {
+            parent.appendChild(createImage(match[5], match[4], context));
+        } else if (match[7] !== undefined) {
+            appendLink(parent, match[7], match[6], context);
+        } else if (match[8] !== undefined) {
+            appendLink(parent, match[8], null, context);
+        } else if (match[10] !== undefined) {
+            const strong = document.createElement('strong');
+            renderInline(match[10], strong, context);
+            parent.appendChild(strong);
+        } else if (match[12] !== undefined) {
+            const emphasis = document.createElement('em');
+            renderInline(match[12], emphasis, context);
+            parent.appendChild(emphasis);
+        } else if (match[13] !== undefined) {
+            const deleted = document.createElement('del');
+            renderInline(match[13], deleted, context);
+            parent.appendChild(deleted);
+        } else if (match[14] !== undefined) {
+            const src = getAttribute(match[14], 'src');
+            if (src) {
+                parent.appendChild(createImage(src, getAttribute(match[14], 'alt') || '', context));
+            }
+        } else if (/^<br/i.test(whole)) {
+            parent.appendChild(document.createElement('br'));
+        } else if (match[15] !== undefined) {
+            appendLink(parent, match[15], null, context);
+        }
+        // Any other HTML tag is dropped
+    }
+
+    if (lastIndex < text.length) {
+        appendText(parent, text.slice(lastIndex));
+    }
+}
+
+/**
+ * Append text, keeping markdown hard line breaks (two trailing spaces)
+ */
+function appendText(parent, text) {
+    text.split(/ {2,}\n|\\\n/).forEach((part, index) => {
+        if (index > 0) {
+            parent.appendChild(document.createElement('br'));
+        }
+        parent.appendChild(document.createTextNode(part));
+    });
+}
+
+/**
+ * Append a link, or just its text when the URL is not allowed
+ */
+function appendLink(parent, url, label, context) {
+    const href = resolveSafeUrl(url, context.linkBase, LINK_PROTOCOLS, context.path);
+
+    if (!href) {
+        // A rejected bare URL would match the bare URL pattern again, so it stays plain text
+        if (label === null) {
+            parent.appendChild(document.createTextNode(url));
+        } else {
+            renderInline(label, parent, context);
+        }
+        return;
+    }
+
+    const link = document.createElement('a');
+    link.href = href;
+    link.target = '_blank';
+    link.rel = 'noopener noreferrer';
+
+    if (label === null) {
+        link.textContent = url;
+    } else {
+        renderInline(label, link, context);
+    }
+
+    parent.appendChild(link);
+}
+
+/**
+ * Create an image with relative sources rewritten to the raw file location
+ */
+function createImage(url, alt, context) {
+    const src = resolveSafeUrl(url, context.imageBase, IMAGE_PROTOCOLS, context.path);
+
+    if (!src) {
+        return document.createTextNode(alt);
+    }
+
+    const image = document.createElement('img');
+    image.src = src;
+    image.alt = alt;
+    image.loading = 'lazy';
+    image.decoding = 'async';
+    image.referrerPolicy = 'no-referrer';
+    return image;
+}
+
+/**
+ * Read a quoted attribute value from raw HTML tag attributes
+ */
+function getAttribute(attributes, name) {
+    const match = attributes.match(new RegExp(`\\b${name}\\s*=\\s*(?:"([^"]*)"|'([^']*)')`, 'i'));
+    return match ? (match[1] ?? match[2]) : null;
+}
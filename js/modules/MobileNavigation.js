@@ -481,6 +481,61 @@ export class MobileNavigation {
         return true;
     }
 
+    /**
+     * Detect horizontal swipes on a single element (e.g. a carousel)
+     * Recognized swipes don't bubble to the page-wide swipe navigation.
+     * Returns a function that removes the listeners.
+     */
+    addSwipeListener(element, { onSwipeLeft, onSwipeRight } = {}) {
+        let startX = null;
+        let startY = null;
+
+        const handleStart = (event) => {
+            const touch = event.touches[0];
+            if (!touch) {
+                return;
+            }
+
+            startX = touch.clientX;
+            startY = touch.clientY;
+        };
+
+        const handleEnd = (event) => {
+            const touch = event.changedTouches[0];
+            if (!touch || startX === null) {
+                return;
+            }
+
+            const deltaX = touch.clientX - startX;
+            const deltaY = touch.clientY - startY;
+            startX = null;
+            startY = null;
+
+            if (Math.abs(deltaX) <= Math.abs(deltaY) || Math.abs(deltaX) <= this.swipeThreshold) {
+                return;
+            }
+
+            event.stopPropagation();
+            this.triggerHaptic('light');
+
+            if (deltaX > 0) {
+                onSwipeRight?.();
+                this.dispatchGestureEvent(this.gestures.SWIPE_RIGHT, { direction: 'right', target: element });
+            } else {
+                onSwipeLeft?.();
+                this.dispatchGestureEvent(this.gestures.SWIPE_LEFT, { direction: 'left', target: element });
+            }
+        };
+
+        element.addEventListener('touchstart', handleStart, { passive: true });
+        element.addEventListener('touchend', handleEnd, { passive: true });
+
+        return () => {
+            element.removeEventListener('touchstart', handleStart);
+            element.removeEventListener('touchend', handleEnd);
+        };
+    }
+
     /**
      * Handle global touch start for swipe gestures
      */
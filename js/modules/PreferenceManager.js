@@ -74,6 +74,35 @@ export class PreferenceManager {
                 default: 'en',
                 values: ['en', 'pt'],
                 description: 'Interface language'
+            },
+            repoView: {
+                type: 'string',
+                default: 'grid',
+                values: ['grid', 'list', 'table'],
+                description: 'How the projects section is shown'
+            },
+            repoSort: {
+                type: 'string',
+                default: 'name',
+                values: ['name', 'updated', 'pushed', 'created', 'stars', 'forks', 'watchers', 'issues', 'size'],
+                description: 'What the projects are sorted by'
+            },
+            repoSortDirection: {
+                type: 'string',
+                default: 'ascending',
+                values: ['ascending', 'descending'],
+                description: 'Direction of the projects sort'
+            },
+            favoriteRepos: {
+                type: 'array',
+                default: [],
+                items: /^[\w.-]+\/[\w.-]+$/,
+                description: 'Favorite repositories ("owner/name")'
+            },
+            favoritesFirst: {
+                type: 'boolean',
+                default: false,
+                description: 'List favorite repositories first'
             }
         };
     }
@@ -117,7 +146,8 @@ export class PreferenceManager {
     getDefaults() {
         const defaults = {};
         for (const [key, definition] of Object.entries(this.preferenceDefinitions)) {
-            defaults[key] = definition.default;
+            // Arrays are copied so changes never reach the definition
+            defaults[key] = Array.isArray(definition.default) ? [...definition.default] : definition.default;
         }
         return defaults;
     }
@@ -176,6 +206,11 @@ export class PreferenceManager {
             value = Boolean(value);
         } else if (definition.type === 'string' && typeof value !== 'string') {
             value = String(value);
+        } else if (definition.type === 'array' && !Array.isArray(value)) {
+            console.warn(`Invalid value for ${key}: ${value}. Expected an array`);
+            return false;
+        } else if (definition.type === 'array') {
+            value = this.filterItems(key, value, definition);
         }
         
         // Validate against allowed values
@@ -215,6 +250,24 @@ export class PreferenceManager {
         return this.set(key, !currentValue, options);
     }
 
+    /**
+     * Keep the unique string items of an array preference that match its items pattern
+     * Bad entries (e.g. from a hand-edited import) are dropped rather than rejecting the whole list
+     */
+    filterItems(key, items, definition) {
+        const valid = items.filter((item, index) =>
+            typeof item === 'string' &&
+            (!definition.items || definition.items.test(item)) &&
+            items.indexOf(item) === index
+        );
+
+        if (valid.length < items.length) {
+            console.warn(`Dropped ${items.length - valid.length} invalid or duplicate entries from ${key}`);
+        }
+
+        return valid;
+    }
+
     /**
      * Set multiple preferences at once
      */
@@ -229,11 +282,12 @@ export class PreferenceManager {
         }
         
         // Notify for all changed preferences
+        // Listeners get the stored value - set() may have rejected the one passed in
         if (options.notify !== false) {
-            for (const [key, value] of Object.entries(prefs)) {
+            for (const key of Object.keys(prefs)) {
                 const listeners = this.listeners.get(key);
                 if (listeners) {
-                    listeners.forEach(callback => callback(value, this.preferences[key]));
+                    listeners.forEach(callback => callback(this.get(key), this.preferences[key]));
                 }
             }
         }
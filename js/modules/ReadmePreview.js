@@ -0,0 +1,215 @@
+/**
+ * ReadmePreview Module
+ * Shows a repository's README in an accessible modal dialog
+ *
+ * The dialog is a regular `.modal`, so KeyboardShortcuts traps focus inside
+ * it and closes it on Escape; this module only reacts to the `modalclose`
+ * event to restore focus to whatever opened it.
+ */
+
+import { renderMarkdown } from './MarkdownRenderer.js';
+
+export class ReadmePreview {
+    constructor(gitHubAPI) {
+        this.gitHubAPI = gitHubAPI;
+        this.modal = null;
+        this.returnFocusTo = null;
+        this.requestId = 0;
+        this.abortController = null;
+        this.initialized = false;
+
+        this.handleModalClose = this.handleModalClose.bind(this);
+    }
+
+    /**
+     * Initialize README preview
+     */
+    initialize() {
+        if (this.initialized) return;
+
+        this.createModal();
+        this.initialized = true;
+    }
+
+    /**
+     * Build the (hidden) dialog once and reuse it for every preview
+     */
+    createModal() {
+        const modal = document.createElement('div');
+        modal.className = 'modal readme-modal';
+        modal.setAttribute('role', 'dialog');
+        modal.setAttribute('aria-modal', 'true');
+        modal.setAttribute('aria-labelledby', 'readme-modal-title');
+        modal.setAttribute('aria-hidden', 'true');
+
+        const dialog = document.createElement('div');
+        dialog.className = 'readme-modal-dialog';
+
+        const header = document.createElement('div');
+        header.className = 'readme-modal-header';
+
+        const title = document.createElement('h2');
+        title.id = 'readme-modal-title';
+        title.className = 'readme-modal-title';
+
+        const githubLink = document.createElement('a');
+        githubLink.className = 'readme-modal-link';
+        githubLink.target = '_blank';
+        githubLink.rel = 'noopener noreferrer';
+
+        const githubIcon = document.createElement('i');
+        githubIcon.className = 'fab fa-github';
+        githubIcon.setAttribute('aria-hidden', 'true');
+        githubLink.appendChild(githubIcon);
+        githubLink.appendChild(document.createTextNode(' View on GitHub'));
+
+        const closeButton = document.createElement('button');
+        closeButton.type = 'button';
+        closeButton.className = 'modal-close';
+        closeButton.setAttribute('aria-label', 'Close preview');
+        closeButton.textContent = '×';
+        closeButton.addEventListener('click', () => this.close());
+
+        const body = document.createElement('div');
+        body.className = 'readme-modal-body markdown-body';
+        // Focusable so keyboard users can scroll long READMEs
+        body.tabIndex = 0;
+
+        header.appendChild(title);
+        header.appendChild(githubLink);
+        header.appendChild(closeButton);
+        dialog.appendChild(header);
+        dialog.appendChild(body);
+        modal.appendChild(dialog);
+
+        // Close when the backdrop (not the dialog) is clicked
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                this.close();
+            }
+        });
+        modal.addEventListener('modalclose', this.handleModalClose);
+
+        document.body.appendChild(modal);
+
+        this.modal = modal;
+        this.elements = { title, githubLink, closeButton, body };
+    }
+
+    /**
+     * Open the preview for a repository and load its README
+     */
+    async open(repo, trigger = document.activeElement) {
+        if (!this.modal) return;
+
+        const { title, githubLink, closeButton, body } = this.elements;
+        const requestId = ++this.requestId;
+
+        // Only the latest preview's README is still wanted
+        this.abortController?.abort();
+        this.abortController = new AbortController();
+        const { signal } = this.abortController;
+
+        this.returnFocusTo = trigger;
+        title.textContent = repo.name;
+        githubLink.href = repo.html_url;
+        this.showMessage('Loading README…');
+        body.setAttribute('aria-busy', 'true');
+
+        this.modal.classList.add('show');
+        this.modal.setAttribute('aria-hidden', 'false');
+        document.body.classList.add('modal-open');
+        closeButton.focus();
+
+        try {
+            const readme = await this.gitHubAPI.fetchReadme(repo, { signal });
+
+            // Another preview was opened (or this one closed) meanwhile
+            if (requestId !== this.requestId) return;
+
+            body.replaceChildren(renderMarkdown(readme.markdown, {
+                linkBase: readme.html_url,
+                imageBase: readme.download_url,
+                path: readme.path
+            }));
+            body.scrollTop = 0;
+
+        } catch (error) {
+            if (requestId !== this.requestId || error.aborted) return;
+
+            console.warn(`⚠️ Could not load README for ${repo.name}:`, error);
+            this.showMessage(this.getErrorMessage(error));
+
+        } finally {
+            if (requestId === this.requestId) {
+                body.removeAttribute('aria-busy');
+            }
+        }
+    }
+
+    /**
+     * Close the preview
+     */
+    close() {
+        if (!this.modal || !this.modal.classList.contains('show')) return;
+
+        this.modal.classList.remove('show');
+        this.handleModalClose();
+    }
+
+    /**
+     * Tidy up after the dialog closes, however it was closed
+     */
+    handleModalClose() {
+        // Ignore responses for a preview nobody is looking at anymore
+        this.requestId++;
+        this.abortController?.abort();
+
+        this.modal.setAttribute('aria-hidden', 'true');
+        document.body.classList.remove('modal-open');
+
+        if (this.returnFocusTo && typeof this.returnFocusTo.focus === 'function' && this.returnFocusTo.isConnected) {
+            this.returnFocusTo.focus();
+        }
+        this.returnFocusTo = null;
+    }
+
+    /**
+     * Replace the body with a short status message
+     */
+    showMessage(message) {
+        const paragraph = document.createElement('p');
+        paragraph.className = 'readme-modal-message';
+        paragraph.textContent = message;
+        this.elements.body.replaceChildren(paragraph);
+    }
+
+    /**
+     * Describe why a README could not be shown
+     */
+    getErrorMessage(error) {
+        if (error.status === 404) {
+            return 'This repository does not have a README yet.';
+        }
+        if (error.rateLimited) {
+            return 'GitHub rate limit reached. Try again later or view the repository on GitHub.';
+        }
+        return 'The README could not be loaded. View the repository on GitHub instead.';
+    }
+
+    /**
+     * Cleanup
+     */
+    destroy() {
+        if (this.modal) {
+            this.modal.removeEventListener('modalclose', this.handleModalClose);
+            this.modal.remove();
+            this.modal = null;
+        }
+
+        document.body.classList.remove('modal-open');
+        this.requestId++;
+        this.abortController?.abort();
+        this.initialized = false;
+    }
+}
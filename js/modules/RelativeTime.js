@@ -0,0 +1,166 @@
+/**
+ * RelativeTime Module
+ * Locale-aware relative timestamps ("updated 3 days ago", "atualizado há 3 dias")
+ *
+ * Timestamps are rendered as <time> elements with the full date in a tooltip.
+ * The locale follows the `language` preference, and every timestamp on the
+ * page is rewritten in place once a minute, so nothing has to re-render.
+ */
+
+// How often visible timestamps are rewritten (ms)
+const REFRESH_INTERVAL = 60 * 1000;
+
+// Largest unit first; months and years are approximate, which is fine for "n ago"
+const UNITS = [
+    ['year', 365 * 24 * 60 * 60],
+    ['month', 30 * 24 * 60 * 60],
+    ['week', 7 * 24 * 60 * 60],
+    ['day', 24 * 60 * 60],
+    ['hour', 60 * 60],
+    ['minute', 60]
+];
+
+// Phrases around the relative time, by language; unknown languages fall back to English
+const LABELS = {
+    en: { updated: 'updated {time}', released: 'released {time}' },
+    pt: { updated: 'atualizado {time}', released: 'lançado {time}' }
+};
+
+/**
+ * Format a timestamp relative to now ("3 hours ago", "yesterday")
+ */
+export function formatRelativeTime(date, now = Date.now(), locale = 'en') {
+    const seconds = Math.round((new Date(date).getTime() - now) / 1000);
+    const formatter = new Intl.RelativeTimeFormat(locale, { numeric: 'auto' });
+
+    for (const [unit, unitSeconds] of UNITS) {
+        if (Math.abs(seconds) >= unitSeconds) {
+            return formatter.format(Math.round(seconds / unitSeconds), unit);
+        }
+    }
+
+    return formatter.format(0, 'second');
+}
+
+/**
+ * Format a timestamp in full, for tooltips ("Tuesday, 4 June 2024 at 14:05")
+ */
+export function formatFullDate(date, locale = 'en') {
+    return new Intl.DateTimeFormat(locale, { dateStyle: 'full', timeStyle: 'short' }).format(new Date(date));
+}
+
+/**
+ * Wrap a relative time in a phrase such as "updated {time}"
+ */
+export function formatLabel(label, time, locale = 'en') {
+    if (!label) return time;
+
+    const language = locale.split('-')[0];
+    const template = LABELS[language]?.[label] || LABELS.en[label] || `${label} {time}`;
+    return template.replace('{time}', time);
+}
+
+export class RelativeTime {
+    constructor(preferenceManager = null) {
+        this.preferenceManager = preferenceManager;
+        this.locale = 'en';
+        this.timer = null;
+        this.initialized = false;
+
+        this.handleLanguageChange = this.handleLanguageChange.bind(this);
+        this.handleVisibilityChange = this.handleVisibilityChange.bind(this);
+    }
+
+    /**
+     * Initialize: follow the language preference and start the refresh timer
+     */
+    initialize() {
+        if (this.initialized) return;
+
+        if (this.preferenceManager) {
+            this.preferenceManager.on('language', this.handleLanguageChange);
+        }
+
+        this.timer = setInterval(() => {
+            // Hidden tabs catch up in handleVisibilityChange
+            if (!document.hidden) this.refresh();
+        }, REFRESH_INTERVAL);
+        document.addEventListener('visibilitychange', this.handleVisibilityChange);
+
+        this.initialized = true;
+    }
+
+    /**
+     * Create a <time> element for a timestamp, optionally with a phrase such as 'updated'
+     * SECURITY: Built with DOM methods
+     */
+    create(date, { label = '', className = '' } = {}) {
+        const time = document.createElement('time');
+        if (className) {
+            time.className = className;
+        }
+        const parsed = new Date(date);
+        if (!Number.isNaN(parsed.getTime())) {
+            time.dateTime = parsed.toISOString();
+        }
+        time.dataset.relative = label;
+        this.update(time);
+        return time;
+    }
+
+    /**
+     * Format a timestamp as text, e.g. for an aria-label
+     */
+    format(date, label = '') {
+        return formatLabel(label, formatRelativeTime(date, Date.now(), this.locale), this.locale);
+    }
+
+    /**
+     * Rewrite one <time> element created by create()
+     */
+    update(time) {
+        const date = time.dateTime;
+        if (!date || Number.isNaN(new Date(date).getTime())) return;
+
+        time.textContent = this.format(date, time.dataset.relative);
+        time.title = formatFullDate(date, this.locale);
+    }
+
+    /**
+     * Rewrite every relative timestamp within root
+     * Callers re-attaching detached nodes (e.g. cached repo cards) pass them as root
+     */
+    refresh(root = document) {
+        root.querySelectorAll('time[data-relative]').forEach(time => this.update(time));
+    }
+
+    /**
+     * Switch locale when the language preference changes
+     */
+    handleLanguageChange(language) {
+        if (!language || language === this.locale) return;
+
+        this.locale = language;
+        this.refresh();
+    }
+
+    /**
+     * Bring timestamps up to date when the tab becomes visible again
+     */
+    handleVisibilityChange() {
+        if (!document.hidden) {
+            this.refresh();
+        }
+    }
+
+    /**
+     * Cleanup
+     */
+    destroy() {
+        clearInterval(this.timer);
+        this.timer = null;
+        document.removeEventListener('visibilitychange', this.handleVisibilityChange);
+        this.preferenceManager?.off('language', this.handleLanguageChange);
+        this.initialized = false;
+    }
+}
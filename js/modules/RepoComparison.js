@@ -0,0 +1,510 @@
+/**
+ * RepoComparison Module
+ * Collects the repositories ticked with "Compare" on the repo cards in a
+ * sticky tray and shows them side by side in a modal dialog
+ *
+ * The dialog is a regular `.modal` like the README preview, so
+ * KeyboardShortcuts traps focus inside it and closes it on Escape.
+ * GitHubRenderer listens for `change` events to keep the card checkboxes in sync.
+ */
+
+import { EventManager } from './EventManager.js';
+import { getLanguageColor } from './LanguageColors.js';
+
+export class RepoComparison {
+    constructor(gitHubAPI, { maxRepos = 3 } = {}) {
+        this.gitHubAPI = gitHubAPI;
+        this.options = { maxRepos };
+        this.selected = new Map(); // repo key -> repo, in the order they were picked
+        this.eventManager = new EventManager();
+        this.tray = null;
+        this.modal = null;
+        this.returnFocusTo = null;
+        this.requestId = 0;
+        this.abortController = null;
+        this.initialized = false;
+
+        this.handleModalClose = this.handleModalClose.bind(this);
+    }
+
+    /**
+     * Initialize comparison tray and dialog
+     */
+    initialize() {
+        if (this.initialized) return;
+
+        this.createTray();
+        this.createModal();
+        this.initialized = true;
+    }
+
+    /**
+     * Build the (hidden) tray listing the picked repositories
+     */
+    createTray() {
+        const tray = document.createElement('aside');
+        tray.className = 'compare-tray';
+        tray.setAttribute('aria-labelledby', 'compare-tray-title');
+        tray.hidden = true;
+
+        const title = document.createElement('h2');
+        title.id = 'compare-tray-title';
+        title.className = 'compare-tray-title';
+        title.textContent = 'Compare projects';
+
+        const list = document.createElement('ul');
+        list.className = 'compare-tray-list';
+
+        const status = document.createElement('p');
+        status.className = 'compare-tray-status';
+        status.setAttribute('role', 'status');
+
+        const actions = document.createElement('div');
+        actions.className = 'compare-tray-actions';
+
+        const compareButton = document.createElement('button');
+        compareButton.type = 'button';
+        compareButton.className = 'btn btn-primary btn-sm compare-open-btn';
+        compareButton.setAttribute('aria-haspopup', 'dialog');
+        compareButton.textContent = 'Compare';
+        compareButton.addEventListener('click', () => this.open(compareButton));
+
+        const clearButton = document.createElement('button');
+        clearButton.type = 'button';
+        clearButton.className = 'btn btn-link btn-sm compare-clear-btn';
+        clearButton.textContent = 'Clear';
+        clearButton.addEventListener('click', () => this.clear());
+
+        actions.appendChild(compareButton);
+        actions.appendChild(clearButton);
+        tray.appendChild(title);
+        tray.appendChild(list);
+        tray.appendChild(status);
+        tray.appendChild(actions);
+
+        document.body.appendChild(tray);
+
+        this.tray = tray;
+        this.trayElements = { list, status, compareButton };
+    }
+
+    /**
+     * Build the (hidden) comparison dialog once and reuse it
+     */
+    createModal() {
+        const modal = document.createElement('div');
+        modal.className = 'modal compare-modal';
+        modal.setAttribute('role', 'dialog');
+        modal.setAttribute('aria-modal', 'true');
+        modal.setAttribute('aria-labelledby', 'compare-modal-title');
+        modal.setAttribute('aria-hidden', 'true');
+
+        const dialog = document.createElement('div');
+        dialog.className = 'compare-modal-dialog';
+
+        const header = document.createElement('div');
+        header.className = 'compare-modal-header';
+
+        const title = document.createElement('h2');
+        title.id = 'compare-modal-title';
+        title.className = 'compare-modal-title';
+        title.textContent = 'Project comparison';
+
+        const closeButton = document.createElement('button');
+        closeButton.type = 'button';
+        closeButton.className = 'modal-close';
+        closeButton.setAttribute('aria-label', 'Close comparison');
+        closeButton.textContent = '×';
+        closeButton.addEventListener('click', () => this.close());
+
+        // Focusable so keyboard users can scroll a wide comparison
+        const body = document.createElement('div');
+        body.className = 'compare-modal-body';
+        body.tabIndex = 0;
+
+        header.appendChild(title);
+        header.appendChild(closeButton);
+        dialog.appendChild(header);
+        dialog.appendChild(body);
+        modal.appendChild(dialog);
+
+        // Close when the backdrop (not the dialog) is clicked
+        modal.addEventListener('click', (e) => {
+            if (e.target === modal) {
+                this.close();
+            }
+        });
+        modal.addEventListener('modalclose', this.handleModalClose);
+
+        document.body.appendChild(modal);
+
+        this.modal = modal;
+        this.elements = { closeButton, body };
+    }
+
+    /**
+     * Get a key identifying a repo across sources
+     */
+    getKey(repo) {
+        return repo.full_name || repo.name;
+    }
+
+    /**
+     * Whether a repo is in the comparison
+     */
+    isSelected(repo) {
+        return this.selected.has(this.getKey(repo));
+    }
+
+    /**
+     * Whether no more repos can be added
+     */
+    isFull() {
+        return this.selected.size >= this.options.maxRepos;
+    }
+
+    /**
+     * Add or remove a repo
+     * Returns false when the tray is already full
+     */
+    toggle(repo, selected = !this.isSelected(repo)) {
+        const key = this.getKey(repo);
+
+        if (selected === this.selected.has(key)) return true;
+
+        if (selected && this.isFull()) {
+            this.renderTray(`Up to ${this.options.maxRepos} projects can be compared. Remove one first.`);
+            return false;
+        }
+
+        if (selected) {
+            this.selected.set(key, repo);
+        } else {
+            this.selected.delete(key);
+        }
+
+        this.renderTray();
+        this.eventManager.emit('change', { repo, selected, count: this.selected.size });
+        return true;
+    }
+
+    /**
+     * Empty the comparison
+     */
+    clear() {
+        const repos = [...this.selected.values()];
+        this.selected.clear();
+        this.renderTray();
+
+        repos.forEach(repo => {
+            this.eventManager.emit('change', { repo, selected: false, count: 0 });
+        });
+    }
+
+    /**
+     * Update the tray contents and status
+     * SECURITY: Built with DOM methods - repo names come from GitHub
+     */
+    renderTray(message = '') {
+        if (!this.tray) return;
+
+        const { list, status, compareButton } = this.trayElements;
+        const count = this.selected.size;
+
+        this.tray.hidden = count === 0;
+        list.replaceChildren();
+
+        this.selected.forEach(repo => {
+            const item = document.createElement('li');
+            item.className = 'compare-tray-item';
+
+            const name = document.createElement('span');
+            name.className = 'compare-tray-name';
+            name.textContent = repo.name;
+
+            const removeButton = document.createElement('button');
+            removeButton.type = 'button';
+            removeButton.className = 'compare-tray-remove';
+            removeButton.setAttribute('aria-label', `Remove ${repo.name} from comparison`);
+            removeButton.textContent = '×';
+            removeButton.addEventListener('click', () => this.removeFromTray(repo));
+
+            item.appendChild(name);
+            item.appendChild(removeButton);
+            list.appendChild(item);
+        });
+
+        compareButton.disabled = count < 2;
+
+        if (message) {
+            status.textContent = message;
+        } else if (count < 2) {
+            status.textContent = `${count} of ${this.options.maxRepos} selected. Pick at least 2 projects to compare.`;
+        } else {
+            status.textContent = `${count} of ${this.options.maxRepos} selected.`;
+        }
+    }
+
+    /**
+     * Remove a repo from the tray, keeping keyboard focus inside it
+     */
+    removeFromTray(repo) {
+        const index = [...this.selected.keys()].indexOf(this.getKey(repo));
+        this.toggle(repo, false);
+
+        const buttons = this.trayElements.list.querySelectorAll('.compare-tray-remove');
+        const next = buttons[Math.min(index, buttons.length - 1)];
+        if (next) {
+            next.focus();
+        }
+    }
+
+    /**
+     * Open the comparison dialog for the picked repos
+     * Languages are fetched as needed and filled in when they arrive
+     */
+    async open(trigger = document.activeElement) {
+        if (!this.modal || this.selected.size < 2) return;
+
+        const requestId = ++this.requestId;
+        const repos = [...this.selected.values()];
+
+        // Only the latest comparison's languages are still wanted
+        this.abortController?.abort();
+        this.abortController = new AbortController();
+        const { signal } = this.abortController;
+
+        this.returnFocusTo = trigger;
+        const languageCells = this.renderComparison(repos);
+
+        this.modal.classList.add('show');
+        this.modal.setAttribute('aria-hidden', 'false');
+        document.body.classList.add('modal-open');
+        this.elements.closeButton.focus();
+
+        await Promise.all(repos.map(async (repo, index) => {
+            const cell = languageCells[index];
+            let languages = null;
+
+            try {
+                languages = await this.gitHubAPI.fetchLanguages(repo, { signal });
+            } catch (error) {
+                if (error.aborted) return;
+                console.warn(`⚠️ Could not load languages for ${repo.name}:`, error);
+            }
+
+            // Another comparison was opened (or this one closed) meanwhile
+            if (requestId !== this.requestId) return;
+
+            this.renderLanguages(cell, languages, repo);
+        }));
+    }
+
+    /**
+     * Render the comparison table: one column per repo, one row per property
+     * Returns the language cells, which are filled in once languages load
+     * SECURITY: Built with DOM methods - repo data comes from GitHub
+     */
+    renderComparison(repos) {
+        const table = document.createElement('table');
+        table.className = 'compare-table';
+
+        const caption = document.createElement('caption');
+        caption.className = 'sr-only';
+        caption.textContent = `Comparison of ${repos.map(repo => repo.name).join(', ')}`;
+
+        const headRow = document.createElement('tr');
+        const corner = document.createElement('td');
+        headRow.appendChild(corner);
+
+        repos.forEach(repo => {
+            const th = document.createElement('th');
+            th.scope = 'col';
+
+            const link = document.createElement('a');
+            link.href = repo.html_url;
+            link.target = '_blank';
+            link.rel = 'noopener noreferrer';
+            link.textContent = repo.name;
+
+            th.appendChild(link);
+            headRow.appendChild(th);
+        });
+
+        const thead = document.createElement('thead');
+        thead.appendChild(headRow);
+
+        const tbody = document.createElement('tbody');
+        const languageCells = [];
+
+        this.getRows().forEach(({ label, render }) => {
+            const row = document.createElement('tr');
+
+            const th = document.createElement('th');
+            th.scope = 'row';
+            th.textContent = label;
+            row.appendChild(th);
+
+            repos.forEach(repo => {
+                const td = document.createElement('td');
+                const content = render(repo);
+
+                if (content === null) {
+                    td.textContent = 'Loading…';
+                    td.setAttribute('aria-busy', 'true');
+                    languageCells.push(td);
+                } else if (typeof content === 'string') {
+                    td.textContent = content;
+                } else {
+                    td.appendChild(content);
+                }
+
+                row.appendChild(td);
+            });
+
+            tbody.appendChild(row);
+        });
+
+        table.appendChild(caption);
+        table.appendChild(thead);
+        table.appendChild(tbody);
+        this.elements.body.replaceChildren(table);
+        this.elements.body.scrollTop = 0;
+
+        return languageCells;
+    }
+
+    /**
+     * Properties shown in the comparison
+     * render returns text, a node, or null for content that loads later
+     */
+    getRows() {
+        return [
+            { label: 'Stars', render: repo => (repo.stargazers_count || 0).toLocaleString() },
+            { label: 'Forks', render: repo => (repo.forks_count || 0).toLocaleString() },
+            { label: 'Open issues', render: repo => (repo.open_issues_count || 0).toLocaleString() },
+            { label: 'Languages', render: () => null },
+            { label: 'Size', render: repo => this.formatSize(repo.size) },
+            { label: 'License', render: repo => this.getLicenseName(repo.license) },
+            { label: 'Created', render: repo => this.createDate(repo.created_at) },
+            { label: 'Updated', render: repo => this.createDate(repo.updated_at) },
+            { label: 'Topics', render: repo => (repo.topics || []).length > 0 ? repo.topics.join(', ') : 'None' }
+        ];
+    }
+
+    /**
+     * Fill a language cell with each language's share of the code
+     * Falls back to the primary language when the breakdown is unavailable
+     */
+    renderLanguages(cell, languages, repo) {
+        cell.removeAttribute('aria-busy');
+
+        const entries = Object.entries(languages || {}).sort((a, b) => b[1] - a[1]);
+        const total = entries.reduce((sum, [, bytes]) => sum + bytes, 0);
+
+        if (total === 0) {
+            cell.textContent = repo.language || 'Unknown';
+            return;
+        }
+
+        const list = document.createElement('ul');
+        list.className = 'compare-languages';
+
+        entries.slice(0, 4).forEach(([language, bytes]) => {
+            const item = document.createElement('li');
+
+            const dot = document.createElement('span');
+            dot.className = 'language-dot';
+            dot.style.backgroundColor = getLanguageColor(language);
+            dot.setAttribute('aria-hidden', 'true');
+
+            const percent = (bytes / total) * 100;
+            item.appendChild(dot);
+            item.appendChild(document.createTextNode(` ${language} ${percent < 1 ? '<1' : Math.round(percent)}%`));
+            list.appendChild(item);
+        });
+
+        cell.replaceChildren(list);
+    }
+
+    /**
+     * Format a repo size given in kilobytes
+     */
+    formatSize(kilobytes) {
+        if (!kilobytes) return 'Unknown';
+        if (kilobytes < 1024) return `${kilobytes} KB`;
+        if (kilobytes < 1024 * 1024) return `${(kilobytes / 1024).toFixed(1)} MB`;
+        return `${(kilobytes / (1024 * 1024)).toFixed(1)} GB`;
+    }
+
+    /**
+     * Get a readable license name; GitHub uses NOASSERTION for unrecognized licenses
+     */
+    getLicenseName(license) {
+        if (!license) return 'None';
+        if (license.spdx_id && license.spdx_id !== 'NOASSERTION') return license.spdx_id;
+        return license.name || 'Other';
+    }
+
+    /**
+     * Create a <time> element for a date
+     */
+    createDate(value) {
+        if (!value) return 'Unknown';
+
+        const time = document.createElement('time');
+        time.dateTime = value;
+        time.textContent = new Date(value).toLocaleDateString();
+        return time;
+    }
+
+    /**
+     * Close the comparison
+     */
+    close() {
+        if (!this.modal || !this.modal.classList.contains('show')) return;
+
+        this.modal.classList.remove('show');
+        this.handleModalClose();
+    }
+
+    /**
+     * Tidy up after the dialog closes, however it was closed
+     */
+    handleModalClose() {
+        // Ignore languages for a comparison nobody is looking at anymore
+        this.requestId++;
+        this.abortController?.abort();
+
+        this.modal.setAttribute('aria-hidden', 'true');
+        document.body.classList.remove('modal-open');
+
+        if (this.returnFocusTo && typeof this.returnFocusTo.focus === 'function' && this.returnFocusTo.isConnected) {
+            this.returnFocusTo.focus();
+        }
+        this.returnFocusTo = null;
+    }
+
+    /**
+     * Cleanup
+     */
+    destroy() {
+        if (this.modal) {
+            this.modal.removeEventListener('modalclose', this.handleModalClose);
+            this.modal.remove();
+            this.modal = null;
+        }
+
+        if (this.tray) {
+            this.tray.remove();
+            this.tray = null;
+        }
+
+        document.body.classList.remove('modal-open');
+        this.requestId++;
+        this.abortController?.abort();
+        this.selected.clear();
+        this.eventManager.removeAllListeners();
+        this.initialized = false;
+    }
+}
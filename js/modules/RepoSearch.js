@@ -0,0 +1,287 @@
+/**
+ * RepoSearch Module
+ * Typo-tolerant, ranked search over repository names, descriptions,
+ * topics and languages
+ *
+ * Kept free of DOM access: GitHubRenderer builds an index whenever the
+ * repository list changes and renders the highlight ranges itself.
+ */
+
+// How much a match in each field counts towards a repo's score
+const FIELD_WEIGHTS = {
+    name: 3,
+    topics: 2,
+    language: 1.5,
+    description: 1
+};
+
+// Only these fields are shown as text on a card, so only they get highlight ranges
+const HIGHLIGHTED_FIELDS = ['name', 'description'];
+
+/**
+ * Build a search index for a list of repos
+ */
+export function createSearchIndex(repos) {
+    const vocabulary = new Map();
+
+    const entries = (repos || []).map(repo => {
+        const fields = {
+            name: createField(repo.name || '', tokenizeName),
+            description: createField(repo.description || '', tokenizeWords),
+            topics: createField((repo.topics || []).join(' '), tokenizeName),
+            language: createField(repo.language || '', tokenizeWords)
+        };
+
+        Object.values(fields).forEach(field => {
+            field.tokens.forEach(({ term }) => {
+                if (term.length >= 3) {
+                    vocabulary.set(term, (vocabulary.get(term) || 0) + 1);
+                }
+            });
+        });
+
+        return { repo, fields };
+    });
+
+    return { entries, vocabulary };
+}
+
+/**
+ * Search the index
+ * Every query word has to match somewhere (exactly, as a prefix, as a
+ * substring or within a few typos). Returns a Map of repo -> { score, highlights }
+ * in descending score order; highlights holds merged [start, end) ranges
+ * for the name and description.
+ */
+export function searchRepos(index, query) {
+    const queryTerms = tokenizeQuery(query);
+    const results = [];
+
+    if (!index || queryTerms.length === 0) {
+        return new Map();
+    }
+
+    for (const { repo, fields } of index.entries) {
+        let score = 0;
+        const highlights = { name: [], description: [] };
+
+        const matchesAll = queryTerms.every(queryTerm => {
+            let best = 0;
+
+            for (const [fieldName, field] of Object.entries(fields)) {
+                const match = matchTerm(queryTerm, field, fieldName === 'description');
+                if (!match) continue;
+
+                best = Math.max(best, match.score * FIELD_WEIGHTS[fieldName]);
+                if (HIGHLIGHTED_FIELDS.includes(fieldName)) {
+                    highlights[fieldName].push(match.range);
+                }
+            }
+
+            score += best;
+            return best > 0;
+        });
+
+        if (!matchesAll) continue;
+
+        // Reward names containing the whole query as typed, e.g. "api-client"
+        const wholeQuery = query.trim().toLowerCase();
+        if (queryTerms.length > 1 && fields.name.lower.includes(wholeQuery)) {
+            score += FIELD_WEIGHTS.name;
+        }
+
+        results.push({
+            repo,
+            score,
+            highlights: {
+                name: mergeRanges(highlights.name),
+                description: mergeRanges(highlights.description)
+            }
+        });
+    }
+
+    results.sort((a, b) => b.score - a.score);
+    return new Map(results.map(({ repo, score, highlights }) => [repo, { score, highlights }]));
+}
+
+/**
+ * Suggest corrected queries ("did you mean") from words that occur in the index
+ * Only suggestions that would find something are returned
+ */
+export function suggestQueries(index, query, limit = 3) {
+    const queryTerms = tokenizeQuery(query);
+    if (!index || queryTerms.length === 0) return [];
+
+    const candidates = queryTerms.map(term => {
+        if (index.vocabulary.has(term)) return [term];
+
+        const maxDistance = term.length < 5 ? 1 : 2;
+        return [...index.vocabulary.entries()]
+            .map(([word, count]) => ({ word, count, distance: editDistance(term, word, maxDistance) }))
+            .filter(({ distance }) => distance <= maxDistance)
+            .sort((a, b) => a.distance - b.distance || b.count - a.count || a.word.localeCompare(b.word))
+            .map(({ word }) => word);
+    });
+
+    if (candidates.some(list => list.length === 0)) return [];
+
+    // Best correction for every word, then alternatives for the first uncertain one
+    const best = candidates.map(list => list[0]);
+    const suggestions = [best.join(' ')];
+    const varying = candidates.findIndex(list => list.length > 1);
+
+    if (varying !== -1) {
+        candidates[varying].slice(1).forEach(word => {
+            const alternative = [...best];
+            alternative[varying] = word;
+            suggestions.push(alternative.join(' '));
+        });
+    }
+
+    const current = queryTerms.join(' ');
+    return [...new Set(suggestions)]
+        .filter(suggestion => suggestion !== current && searchRepos(index, suggestion).size > 0)
+        .slice(0, limit);
+}
+
+/**
+ * Split search input into lowercase words
+ */
+export function tokenizeQuery(query) {
+    return (query || '').toLowerCase().split(/[^\p{L}\p{N}]+/u).filter(Boolean);
+}
+
+/**
+ * Keep a field's text with its lowercase form and tokens
+ */
+function createField(text, tokenize) {
+    return { text, lower: text.toLowerCase(), tokens: tokenize(text) };
+}
+
+/**
+ * Tokenize identifiers: split on dashes, underscores, dots and camelCase
+ * "my_coolApp-v2" -> my, cool, app, v, 2 (plus the whole "coolapp" segment)
+ */
+function tokenizeName(text) {
+    const tokens = [];
+
+    for (const segment of text.matchAll(/[\p{L}\p{N}]+/gu)) {
+        const parts = [...segment[0].matchAll(/\p{Lu}+(?!\p{Ll})|\p{Lu}?\p{Ll}+|\p{N}+|\p{L}+/gu)];
+
+        parts.forEach(part => {
+            const start = segment.index + part.index;
+            tokens.push({ term: part[0].toLowerCase(), start, end: start + part[0].length });
+        });
+
+        if (parts.length > 1) {
+            tokens.push({ term: segment[0].toLowerCase(), start: segment.index, end: segment.index + segment[0].length });
+        }
+    }
+
+    return tokens;
+}
+
+/**
+ * Tokenize prose into words with their offsets
+ */
+function tokenizeWords(text) {
+    return [...text.matchAll(/[\p{L}\p{N}]+/gu)].map(match => ({
+        term: match[0].toLowerCase(),
+        start: match.index,
+        end: match.index + match[0].length
+    }));
+}
+
+/**
+ * Find the best match of one query word in a field
+ * Prose is matched less loosely so short words don't hit every "just"/"must"
+ * Returns { score, range } or null
+ */
+function matchTerm(queryTerm, field, isProse = false) {
+    let best = null;
+    const consider = (score, start, end) => {
+        if (!best || score > best.score) {
+            best = { score, range: [start, end] };
+        }
+    };
+
+    const minLength = isProse ? 6 : 5;
+    const maxEdits = queryTerm.length < minLength ? 0 : queryTerm.length < minLength + 3 ? 1 : 2;
+
+    for (const token of field.tokens) {
+        if (token.term === queryTerm) {
+            consider(1, token.start, token.end);
+        } else if (token.term.startsWith(queryTerm)) {
+            consider(0.8, token.start, token.start + queryTerm.length);
+        } else if (maxEdits > 0) {
+            const distance = editDistance(queryTerm, token.term, maxEdits);
+            if (distance <= maxEdits) {
+                consider(distance === 1 ? 0.5 : 0.35, token.start, token.end);
+            }
+        }
+    }
+
+    // Inside a word, e.g. "hub" in "github"
+    if (!best && queryTerm.length >= 3) {
+        const start = field.lower.indexOf(queryTerm);
+        if (start !== -1) {
+            consider(0.4, start, start + queryTerm.length);
+        }
+    }
+
+    return best;
+}
+
+/**
+ * Optimal string alignment distance (Levenshtein plus adjacent transpositions)
+ * Gives up early and returns max + 1 once the distance must exceed max
+ */
+function editDistance(a, b, max) {
+    if (Math.abs(a.length - b.length) > max) return max + 1;
+
+    let previousPrevious = null;
+    let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        let rowMin = i;
+
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            let value = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                value = Math.min(value, previousPrevious[j - 2] + 1);
+            }
+
+            current[j] = value;
+            rowMin = Math.min(rowMin, value);
+        }
+
+        if (rowMin > max) return max + 1;
+
+        previousPrevious = previous;
+        previous = current;
+    }
+
+    return previous[b.length];
+}
+
+/**
+ * Sort and merge overlapping [start, end) ranges
+ */
+function mergeRanges(ranges) {
+    const sorted = [...ranges].sort((a, b) => a[0] - b[0]);
+    const merged = [];
+
+    for (const range of sorted) {
+        const last = merged[merged.length - 1];
+        if (last && range[0] <= last[1]) {
+            last[1] = Math.max(last[1], range[1]);
+        } else {
+            merged.push([...range]);
+        }
+    }
+
+    return merged;
+}
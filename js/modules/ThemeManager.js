@@ -236,6 +236,25 @@ export class ThemeManager {
         return this.currentTheme === this.THEMES.DARK;
     }
 
+    /**
+     * Get the active theme's colors from its CSS custom properties
+     * For drawing code (e.g. SVG charts) that needs concrete colors; listen for
+     * the themechange event to redraw when the theme changes
+     */
+    getThemeColors() {
+        const styles = getComputedStyle(document.documentElement);
+        const read = (name, fallback) => styles.getPropertyValue(name).trim() || fallback;
+        const dark = this.isDarkTheme();
+
+        return {
+            theme: this.currentTheme,
+            text: read('--light-text', dark ? '#f0f0f0' : '#1a2a3a'),
+            secondaryText: read('--secondary-text', dark ? '#b8b8b8' : '#64748b'),
+            background: read('--card-bg', dark ? '#1a1a1a' : '#ffffff'),
+            primary: read('--primary-color', '#2d7a4e')
+        };
+    }
+
     /**
      * Get system theme preference
      */
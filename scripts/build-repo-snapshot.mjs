@@ -0,0 +1,59 @@
+/**
+ * @file Repository Snapshot Builder
+ * @description Writes data/repos.json, a static copy of the repository data
+ * the site falls back to when the GitHub API is unreachable or rate limited.
+ * Uses the same GitHubAPI module and js/config.js as the site, so the
+ * snapshot has exactly the shape fetchRepos() returns.
+ *
+ * Usage: npm run snapshot
+ * Set GITHUB_TOKEN to avoid the 60 requests/hour anonymous rate limit.
+ * If any source fails the script exits non-zero and leaves the previous
+ * data/repos.json in place, rather than writing a partial snapshot.
+ */
+
+import { mkdir, rename, writeFile } from 'node:fs/promises';
+import { CacheManager } from '../js/modules/CacheManager.js';
+import { GitHubAPI } from '../js/modules/GitHubAPI.js';
+import { GITHUB_CONFIG } from '../js/config.js';
+
+const OUTPUT_URL = new URL('../data/repos.json', import.meta.url);
+
+async function buildSnapshot() {
+    const token = process.env.GITHUB_TOKEN || null;
+
+    const cacheManager = new CacheManager({ persistent: false });
+    await cacheManager.initialize();
+
+    const gitHubAPI = new GitHubAPI(cacheManager, {
+        ...GITHUB_CONFIG,
+        graphql: { ...GITHUB_CONFIG.graphql, token: token || GITHUB_CONFIG.graphql?.token },
+        headers: token ? { Authorization: `Bearer ${token}` } : {},
+        // Never build a snapshot from an older snapshot
+        snapshot: null
+    });
+    gitHubAPI.initialize();
+
+    // A snapshot missing one source would look complete to the site
+    const repos = await gitHubAPI.fetchRepos({ strict: true });
+    const featured = await gitHubAPI.fetchFeaturedRepos();
+
+    const snapshot = {
+        generated_at: new Date().toISOString(),
+        sources: GITHUB_CONFIG.sources.map(({ type, name }) => ({ type, name })),
+        repos,
+        featured
+    };
+
+    // Write next to the output and rename, so an interrupted run can't truncate it
+    const tempUrl = new URL(`${OUTPUT_URL.href}.tmp`);
+    await mkdir(new URL('.', OUTPUT_URL), { recursive: true });
+    await writeFile(tempUrl, `${JSON.stringify(snapshot, null, 2)}\n`);
+    await rename(tempUrl, OUTPUT_URL);
+
+    console.log(`✅ Wrote ${repos.length} repositories (${featured.length} featured) to data/repos.json`);
+}
+
+buildSnapshot().catch((error) => {
+    console.error('❌ Failed to build repository snapshot, keeping data/repos.json unchanged:', error.message);
+    process.exitCode = 1;
+});
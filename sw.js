@@ -4,8 +4,8 @@
  * @version 1.0.0
  */
 
-const CACHE_NAME = 'portfolio-v1.0.2';
-const RUNTIME_CACHE = 'portfolio-runtime-v1.0.2';
+const CACHE_NAME = 'portfolio-v1.0.9';
+const RUNTIME_CACHE = 'portfolio-runtime-v1.0.3';
 
 // Static assets to cache on install
 const STATIC_ASSETS = [
@@ -15,18 +15,29 @@ const STATIC_ASSETS = [
     '/css/accessibility-enhanced.css',
     '/css/repo-display-options.css',
     '/js/app.js',
+    '/js/config.js',
     '/js/script.js',
+    '/js/modules/ActivityEvents.js',
+    '/js/modules/ActivityFeed.js',
     '/js/modules/CacheManager.js',
     '/js/modules/ErrorHandler.js',
     '/js/modules/EventManager.js',
+    '/js/modules/FeaturedSelection.js',
     '/js/modules/GitHubAPI.js',
     '/js/modules/GitHubRenderer.js',
     '/js/modules/IconManager.js',
     '/js/modules/KeyboardShortcuts.js',
+    '/js/modules/LanguageColors.js',
     '/js/modules/LazyLoader.js',
+    '/js/modules/MarkdownRenderer.js',
     '/js/modules/MobileNavigation.js',
     '/js/modules/NavigationManager.js',
     '/js/modules/PreferenceManager.js',
+    '/js/modules/ReadmePreview.js',
+    '/js/modules/RepoComparison.js',
+    '/js/modules/LanguageStats.js',
+    '/js/modules/RelativeTime.js',
+    '/js/modules/RepoSearch.js',
     '/js/modules/ThemeManager.js',
     '/js/modules/MicroInteractions.js',
     '/js/modules/ErrorBoundary.js',
@@ -47,8 +58,8 @@ const STATIC_ASSETS = [
     '/manifest.json'
 ];
 
-// GitHub API URLs to cache
-const GITHUB_API_PATTERN = /https:\/\/api\.github\.com\/users\/SilentCaMXMF\/repos/;
+// GitHub API URLs to cache (repository lists of any configured user or org)
+const GITHUB_API_PATTERN = /https:\/\/api\.github\.com\/(users|orgs)\/[^/]+\/repos/;
 
 const IMAGE_EXTENSIONS = ['.png', '.jpg', '.jpeg', '.gif', '.svg', '.ico', '.webp'];
 
@@ -139,9 +150,9 @@ self.addEventListener('fetch', (event) => {
         return; // Let browser handle these directly
     }
 
-    // Handle GitHub API requests with stale-while-revalidate
+    // Handle GitHub API requests network-first (GitHubAPI revalidates them itself)
     if (GITHUB_API_PATTERN.test(url.href)) {
-        event.respondWith(handleStaleWhileRevalidate(request));
+        event.respondWith(handleGitHubApiRequest(request));
         return;
     }
 
@@ -269,25 +280,18 @@ async function handleImageRequest(request) {
 }
 
 /**
- * Handle stale-while-revalidate for API requests
+ * Handle GitHub API requests
+ * GitHubAPI keeps its own ETag cache, so conditional requests go straight to the
+ * network: answering them from the cache would hide the 304 and hand back stale
+ * X-RateLimit-* headers. Other requests are network-first, with the cached copy
+ * as an offline fallback.
  */
-async function handleStaleWhileRevalidate(request) {
-    // Skip problematic requests
-    if (shouldSkipRequest(request)) {
-        return await fetch(request);
+async function handleGitHubApiRequest(request) {
+    if (request.headers.has('If-None-Match') || request.headers.has('If-Modified-Since')) {
+        return fetch(request);
     }
-    
-    const cache = await caches.open(RUNTIME_CACHE);
-    const cachedResponse = await cache.match(request);
-    
-    const networkPromise = fetch(request).then((networkResponse) => {
-        if (networkResponse.ok) {
-            cache.put(request, networkResponse.clone());
-        }
-        return networkResponse;
-    }).catch(() => cachedResponse);
-    
-    return cachedResponse || networkPromise;
+
+    return handleNetworkFirstRequest(request);
 }
 
 /**
@@ -327,20 +331,23 @@ self.addEventListener('sync', (event) => {
 
 /**
  * Sync GitHub data in background
+ * Refreshes every repository list the page has already requested,
+ * so the sources configured in js/config.js don't need repeating here
  */
 async function syncGitHubData() {
     try {
-        const response = await fetch('https://api.github.com/users/SilentCaMXMF/repos');
+        const cache = await caches.open(RUNTIME_CACHE);
+        const requests = (await cache.keys()).filter(request => GITHUB_API_PATTERN.test(request.url));
         
-        if (response.ok) {
-            const data = await response.json();
-            const cache = await caches.open(RUNTIME_CACHE);
-            cache.put(
-                'https://api.github.com/users/SilentCaMXMF/repos',
-                new Response(JSON.stringify(data))
-            );
-            console.log('[Service Worker] GitHub data synced');
-        }
+        await Promise.all(requests.map(async (request) => {
+            const response = await fetch(request.url);
+            
+            if (response.ok) {
+                await cache.put(request.url, response);
+            }
+        }));
+        
+        console.log('[Service Worker] GitHub data synced');
     } catch (error) {
         console.error('[Service Worker] Background sync failed:', error);
     }
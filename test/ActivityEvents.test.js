@@ -0,0 +1,158 @@
+/**
+ * ActivityEvents tests
+ * Hand-written public events (test/fixtures/events.json, newest first) go
+ * through GitHubAPI.normalizeEvent and groupEvents, as they do in the site.
+ * The fixtures follow the shape of the events API response; their ids are
+ * made up and the edge cases (a push on each side of UTC midnight, a skipped
+ * event between two stars, an unknown event type) are placed on purpose.
+ *
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'node:fs/promises';
+import { CacheManager } from '../js/modules/CacheManager.js';
+import { GitHubAPI } from '../js/modules/GitHubAPI.js';
+import { groupEvents } from '../js/modules/ActivityEvents.js';
+
+const rawEvents = JSON.parse(await readFile(new URL('./fixtures/events.json', import.meta.url), 'utf8'));
+
+const gitHubAPI = new GitHubAPI(new CacheManager({ persistent: false }));
+const events = rawEvents.map(event => gitHubAPI.normalizeEvent(event));
+
+const PORTFOLIO = 'SilentCaMXMF/SilentCaMXMF.github.io';
+
+test('normalizeEvent keeps only the fields the feed uses', () => {
+    const merged = events.find(event => event.id === '38511007');
+
+    assert.deepEqual(merged, {
+        id: '38511007',
+        type: 'PullRequestEvent',
+        created_at: '2024-05-02T17:00:00Z',
+        actor: { login: 'SilentCaMXMF' },
+        repo: { name: PORTFOLIO },
+        payload: {
+            action: 'closed',
+            ref: null,
+            size: null,
+            pull_request: {
+                number: 42,
+                title: 'Add activity feed',
+                html_url: `https://github.com/${PORTFOLIO}/pull/42`,
+                merged: true
+            },
+            release: null
+        }
+    });
+});
+
+test('normalizeEvent trims releases to their name, tag and link', () => {
+    const release = events.find(event => event.type === 'ReleaseEvent');
+
+    assert.deepEqual(release.payload.release, {
+        name: 'Portfolio 1.2',
+        tag_name: 'v1.2.0',
+        html_url: `https://github.com/${PORTFOLIO}/releases/tag/v1.2.0`
+    });
+});
+
+test('normalizeEvent counts commits when a push has no size', () => {
+    const [withSize, withoutSize] = events;
+
+    assert.equal(withSize.payload.size, 2);
+    assert.equal(rawEvents[1].payload.size, undefined);
+    assert.equal(withoutSize.payload.size, 1);
+    assert.equal(withoutSize.payload.ref, 'refs/heads/main');
+});
+
+test('normalizeEvent keeps issue and unknown events without their payloads', () => {
+    const issue = events.find(event => event.type === 'IssuesEvent');
+    const unknown = events.find(event => event.type === 'SponsorshipEvent');
+
+    assert.deepEqual(issue.payload, { action: 'opened', ref: null, size: null, pull_request: null, release: null });
+    assert.equal(unknown.id, '38511014');
+    assert.equal(unknown.payload.action, 'created');
+});
+
+test('groupEvents turns the fixture events into feed items', () => {
+    assert.deepEqual(groupEvents(events), [
+        { type: 'push', repo: PORTFOLIO, branch: 'main', commits: 3, pushes: 2, createdAt: '2024-05-03T18:20:00Z' },
+        { type: 'push', repo: PORTFOLIO, branch: 'main', commits: 3, pushes: 1, createdAt: '2024-05-02T23:59:59Z' },
+        { type: 'star', repos: ['octocat/Hello-World', 'github/docs'], createdAt: '2024-05-02T20:00:00Z' },
+        {
+            type: 'pullRequest',
+            repo: PORTFOLIO,
+            action: 'merged',
+            number: 42,
+            title: 'Add activity feed',
+            url: `https://github.com/${PORTFOLIO}/pull/42`,
+            createdAt: '2024-05-02T17:00:00Z'
+        },
+        {
+            type: 'pullRequest',
+            repo: PORTFOLIO,
+            action: 'closed',
+            number: 41,
+            title: 'Try a new font',
+            url: `https://github.com/${PORTFOLIO}/pull/41`,
+            createdAt: '2024-05-02T16:00:00Z'
+        },
+        {
+            type: 'pullRequest',
+            repo: PORTFOLIO,
+            action: 'opened',
+            number: 43,
+            title: 'Compare repositories',
+            url: `https://github.com/${PORTFOLIO}/pull/43`,
+            createdAt: '2024-05-02T15:00:00Z'
+        },
+        {
+            type: 'release',
+            repo: PORTFOLIO,
+            tag: 'v1.2.0',
+            name: 'Portfolio 1.2',
+            url: `https://github.com/${PORTFOLIO}/releases/tag/v1.2.0`,
+            createdAt: '2024-05-02T12:05:00Z'
+        },
+        { type: 'push', repo: 'SilentCaMXMF/dotfiles', branch: 'dev', commits: 1, pushes: 1, createdAt: '2024-05-01T09:00:00Z' },
+        { type: 'push', repo: PORTFOLIO, branch: 'main', commits: 1, pushes: 1, createdAt: '2024-05-01T08:00:00Z' }
+    ]);
+});
+
+test('groupEvents only merges pushes made on the same UTC day', () => {
+    // 2024-05-03T00:00:01Z and 2024-05-02T23:59:59Z are two seconds apart
+    const [today, yesterday] = groupEvents(events.slice(1, 3));
+
+    assert.equal(today.pushes, 1);
+    assert.equal(yesterday.pushes, 1);
+});
+
+test('groupEvents skips issue, comment, tag and unknown events without breaking groups', () => {
+    const items = groupEvents(events);
+    const types = new Set(items.map(item => item.type));
+
+    assert.deepEqual([...types].sort(), ['pullRequest', 'push', 'release', 'star']);
+    // The IssuesEvent between the two stars doesn't split them
+    assert.equal(items.filter(item => item.type === 'star').length, 1);
+});
+
+test('groupEvents forgets the branch of pushes to different branches', () => {
+    const feature = { ...events[1], payload: { ...events[1].payload, ref: 'refs/heads/feature' } };
+    const [item] = groupEvents([events[0], feature]);
+
+    assert.equal(item.pushes, 2);
+    assert.equal(item.branch, null);
+});
+
+test('groupEvents stops at the limit but still merges into the last item', () => {
+    const items = groupEvents(events, { limit: 3 });
+
+    assert.equal(items.length, 3);
+    assert.deepEqual(items[2].repos, ['octocat/Hello-World', 'github/docs']);
+});
+
+test('groupEvents accepts missing input', () => {
+    assert.deepEqual(groupEvents(null), []);
+    assert.deepEqual(groupEvents([{ type: 'PushEvent', payload: {} }]), []);
+});
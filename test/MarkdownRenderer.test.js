@@ -0,0 +1,74 @@
+/**
+ * MarkdownRenderer tests
+ * Rendered into a minimal stand-in for the DOM methods the renderer uses,
+ * so they run under Node without a browser.
+ *
+ * Run with: npm test
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderMarkdown } from '../js/modules/MarkdownRenderer.js';
+
+class FakeNode {
+    constructor(tagName = null, text = '') {
+        this.tagName = tagName;
+        this.text = text;
+        this.childNodes = [];
+        this.dataset = {};
+    }
+
+    appendChild(child) {
+        // Like a DocumentFragment, a fragment's children move over
+        const children = child.tagName === '#fragment' ? child.childNodes : [child];
+        this.childNodes.push(...children);
+        return child;
+    }
+
+    get textContent() {
+        return this.tagName ? this.childNodes.map(child => child.textContent).join('') : this.text;
+    }
+
+    set textContent(text) {
+        this.childNodes = [new FakeNode(null, text)];
+    }
+
+    find(tagName) {
+        if (this.tagName === tagName) return this;
+        for (const child of this.childNodes) {
+            const found = child.find(tagName);
+            if (found) return found;
+        }
+        return null;
+    }
+}
+
+globalThis.document = {
+    createElement: tagName => new FakeNode(tagName.toUpperCase()),
+    createTextNode: text => new FakeNode(null, text),
+    createDocumentFragment: () => new FakeNode('#fragment')
+};
+
+test('links bare URLs that resolve', () => {
+    const link = renderMarkdown('See https://example.com/docs for more').find('A');
+
+    assert.equal(link.href, 'https://example.com/docs');
+    assert.equal(link.textContent, 'https://example.com/docs');
+});
+
+test('keeps bare URLs that URL() rejects as plain text', () => {
+    for (const url of ['http://localhost:PORT/', 'https://example.com:99999/x', 'https://[x']) {
+        const fragment = renderMarkdown(`Open ${url} or <${url}> locally`);
+
+        assert.equal(fragment.find('A'), null, url);
+        assert.equal(fragment.textContent, `Open ${url} or ${url} locally`);
+    }
+});
+
+test('keeps the label of a link whose URL is rejected', () => {
+    const fragment = renderMarkdown('[**local** server](http://localhost:PORT/)');
+
+    assert.equal(fragment.find('A'), null);
+    assert.equal(fragment.find('STRONG').textContent, 'local');
+    assert.equal(fragment.textContent, 'local server');
+});